@@ -1,7 +1,25 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
 const UserManager = require('./services/user-manager');
+const RequestLedger = require('./services/request-ledger');
+const RecoveryStore = require('./services/recovery-store');
+const BlockReplayer = require('./services/block-replayer');
+const DelegationManager = require('./services/delegation-manager');
 const userManager = new UserManager();
+const ledger = new RequestLedger();
+const recovery = new RecoveryStore();
+let monitor = null; // only created for commands that talk to the blockchain
+
+function getMonitor() {
+    if (!monitor) {
+        const BlockchainMonitor = require('./services/blockchain-monitor');
+        monitor = new BlockchainMonitor();
+    }
+    return monitor;
+}
 
 // Get command line arguments
 const args = process.argv.slice(2);
@@ -20,13 +38,34 @@ function printUsage() {
     console.log('  set-tokens <username> <num>    Set total tokens for user');
     console.log('  activate <username>            Activate user');
     console.log('  deactivate <username>          Deactivate user');
+    console.log('  setting <username> [key] [value]  Show or change per-sponsor settings (value "default" resets)');
     console.log('  stats                          Show database statistics');
+    console.log('  migrate-users [file] [--overwrite]  Import authorized_users.json into USER_STORE');
+    console.log('  requests [state] [limit]       List recent creation requests from the ledger');
+    console.log('  request <transactionId>        Show full lifecycle of one request');
+    console.log('  pending                        List undelivered credentials in the recovery queue');
+    console.log('  retry-delivery <username> [email|memo|both]  Re-send credentials for a pending account');
+    console.log('  decrypt-pending <username>     Decrypt and print one pending record (shows private keys)');
+    console.log('  export-pending <username> [file]  Write one decrypted record to a private (0600) file');
+    console.log('  purge-pending <username> --confirm [--no-token]  Remove a record after confirmed delivery');
+    console.log('  replay <from> [to] [--execute]  Scan a block range for requests (dry run unless --execute)');
+    console.log('       [--include-rejected] [--include-in-flight]  also re-run rejected / unfinished requests');
+    console.log('  delegations [all] [--review]   Starter HP delegation totals (--review returns due delegations now)');
+    console.log('  templates                      List authority templates for new accounts');
+    console.log('  recovery-changes [all]         Accounts waiting for the 30-day switch to their sponsor as recovery account');
     console.log('');
     console.log('Examples:');
     console.log('  node admin.js list-users');
     console.log('  node admin.js add-user newuser 10');
     console.log('  node admin.js give-tokens ankapolo 5');
     console.log('  node admin.js user meno');
+    console.log('  node admin.js setting meno paid_creation true');
+    console.log('  node admin.js setting meno authority_template sponsor_posting');
+    console.log('  node admin.js setting meno allowed_templates sponsor_posting,sponsor_cosign');
+    console.log('  USER_STORE=sqlite node admin.js migrate-users');
+    console.log('  node admin.js requests delivery_failed');
+    console.log('  node admin.js retry-delivery newaccount memo');
+    console.log('  node admin.js replay 95000000 95000500');
     console.log('');
 }
 
@@ -41,9 +80,49 @@ function formatUser(username, user) {
     console.log(`   Last Used: ${lastUsed}`);
     if (user.email) console.log(`   Email: ${user.email}`);
     if (user.notes) console.log(`   Notes: ${user.notes}`);
+    const customized = Object.keys(user.settings || {});
+    if (customized.length > 0) {
+        console.log(`   Settings: ${customized.map(key => `${key}=${JSON.stringify(user.settings[key])}`).join(', ')}`);
+    }
     console.log('');
 }
 
+function formatRequest(request) {
+    console.log(`🔗 ${request.transactionId}`);
+    console.log(`   State: ${request.state}`);
+    console.log(`   Requester: @${request.requester || '?'} → @${request.requested_username || '?'}`);
+    if (request.delivery_method) console.log(`   Delivery: ${request.delivery_method}`);
+    if (request.reason) console.log(`   Reason: ${request.reason}`);
+    if (request.create_tx) console.log(`   Create TX: ${request.create_tx}`);
+    if (request.transfer_tx) console.log(`   Transfer TX: ${request.transfer_tx}`);
+    console.log(`   Updated: ${new Date(request.updated_at).toLocaleString()}`);
+    console.log('');
+}
+
+const DELIVERY_ALIASES = { email: 'email', memo: 'hive_memo', hive_memo: 'hive_memo', both: 'both' };
+
+function requirePendingRecord(username, usage, decrypt = true) {
+    if (!username) {
+        console.log('❌ Please specify a username');
+        console.log(`Usage: ${usage}`);
+        return null;
+    }
+    const record = recovery.loadPending().find(r => r.username === username);
+    if (!record) {
+        console.log(`❌ No pending record for '${username}'`);
+        return null;
+    }
+    if (!decrypt) return record;
+
+    try {
+        return recovery.unseal(record);
+    } catch (error) {
+        console.log(`❌ Cannot decrypt record for '${username}': ${error.message}`);
+        console.log('   Check ENCRYPTION_SECRET / CREATING_ACCOUNT_MEMO_KEY match the values used when it was stored');
+        return null;
+    }
+}
+
 async function main() {
     if (!command) {
         printUsage();
@@ -53,7 +132,7 @@ async function main() {
     switch (command) {
         case 'list-users':
         case 'list':
-            const data = userManager.getAllUsers();
+            const data = await userManager.getAllUsers();
             if (!data) {
                 console.log('❌ Error loading user data');
                 return;
@@ -80,7 +159,7 @@ async function main() {
                 return;
             }
             
-            const user = userManager.getUser(username);
+            const user = await userManager.getUser(username);
             if (!user) {
                 console.log(`❌ User '${username}' not found`);
                 return;
@@ -102,7 +181,7 @@ async function main() {
                 return;
             }
             
-            const result = userManager.addUser(newUsername, tokens);
+            const result = await userManager.addUser(newUsername, tokens);
             if (result.success) {
                 console.log(`✅ ${result.message}`);
             } else {
@@ -121,7 +200,7 @@ async function main() {
                 return;
             }
             
-            const giveResult = userManager.giveTokens(giveUsername, giveTokens);
+            const giveResult = await userManager.giveTokens(giveUsername, giveTokens);
             if (giveResult.success) {
                 console.log(`✅ ${giveResult.message}`);
             } else {
@@ -140,7 +219,7 @@ async function main() {
                 return;
             }
             
-            const setResult = userManager.setTokens(setUsername, setTokens);
+            const setResult = await userManager.setTokens(setUsername, setTokens);
             if (setResult.success) {
                 console.log(`✅ ${setResult.message}`);
             } else {
@@ -155,7 +234,7 @@ async function main() {
                 return;
             }
             
-            const activateResult = userManager.setUserStatus(activateUsername, true);
+            const activateResult = await userManager.setUserStatus(activateUsername, true);
             if (activateResult.success) {
                 console.log(`✅ ${activateResult.message}`);
             } else {
@@ -170,7 +249,7 @@ async function main() {
                 return;
             }
             
-            const deactivateResult = userManager.setUserStatus(deactivateUsername, false);
+            const deactivateResult = await userManager.setUserStatus(deactivateUsername, false);
             if (deactivateResult.success) {
                 console.log(`✅ ${deactivateResult.message}`);
             } else {
@@ -178,31 +257,361 @@ async function main() {
             }
             break;
 
+        case 'setting':
+        case 'settings': {
+            const [, settingUsername, settingKey, settingValue] = args;
+            if (!settingUsername) {
+                console.log('❌ Please specify a username');
+                console.log('Usage: node admin.js setting <username> [key] [value]');
+                return;
+            }
+
+            if (settingValue !== undefined) {
+                const settingResult = await userManager.setUserSetting(settingUsername, settingKey, settingValue);
+                console.log(settingResult.success ? `✅ ${settingResult.message}` : `❌ ${settingResult.message}`);
+                break;
+            }
+
+            const settingUser = await userManager.getUser(settingUsername);
+            if (!settingUser) {
+                console.log(`❌ User '${settingUsername}' not found`);
+                return;
+            }
+            const keys = settingKey ? [settingKey] : Object.keys(UserManager.SETTINGS);
+            console.log(`\n⚙️  Settings for ${settingUsername}`);
+            for (const key of keys) {
+                if (!UserManager.SETTINGS[key]) {
+                    console.log(`❌ Unknown setting "${key}" (available: ${Object.keys(UserManager.SETTINGS).join(', ')})`);
+                    return;
+                }
+                const custom = settingUser.settings && settingUser.settings[key] !== undefined;
+                console.log(`   ${key} = ${JSON.stringify(UserManager.settingValue(settingUser, key))}${custom ? '' : ' (default)'}`);
+                console.log(`      ${UserManager.SETTINGS[key].description}`);
+            }
+            console.log('');
+            break;
+        }
+
         case 'stats':
-            const statsData = userManager.getAllUsers();
-            if (!statsData) {
+            const stats = await userManager.getStats();
+            if (!stats) {
                 console.log('❌ Error loading user data');
                 return;
             }
             
-            const activeUsers = Object.values(statsData.authorized_users).filter(u => u.is_active).length;
-            const inactiveUsers = Object.values(statsData.authorized_users).filter(u => !u.is_active).length;
-            const usersWithTokens = Object.values(statsData.authorized_users).filter(u => u.tokens_remaining > 0).length;
-            
             console.log('\n📊 Database Statistics');
             console.log('======================');
-            console.log(`Total Users: ${statsData.metadata.total_users}`);
-            console.log(`Active Users: ${activeUsers}`);
-            console.log(`Inactive Users: ${inactiveUsers}`);
-            console.log(`Users with Tokens: ${usersWithTokens}`);
-            console.log(`Total Tokens Allocated: ${statsData.metadata.total_tokens_allocated}`);
-            console.log(`Total Tokens Used: ${statsData.metadata.total_tokens_used}`);
-            console.log(`Tokens Remaining: ${statsData.metadata.total_tokens_allocated - statsData.metadata.total_tokens_used}`);
-            console.log(`Database Created: ${new Date(statsData.metadata.created_at).toLocaleString()}`);
-            console.log(`Last Updated: ${new Date(statsData.metadata.last_updated).toLocaleString()}`);
+            console.log(`Total Users: ${stats.total_users}`);
+            console.log(`Active Users: ${stats.active_users}`);
+            console.log(`Inactive Users: ${stats.inactive_users}`);
+            console.log(`Users with Tokens: ${stats.users_with_tokens}`);
+            console.log(`Total Tokens Allocated: ${stats.total_tokens_allocated}`);
+            console.log(`Total Tokens Used: ${stats.total_tokens_used}`);
+            console.log(`Tokens Remaining: ${stats.tokens_remaining}`);
+            console.log(`Database Created: ${new Date(stats.created_at).toLocaleString()}`);
+            console.log(`Last Updated: ${new Date(stats.last_updated).toLocaleString()}`);
+            console.log('');
+            break;
+
+        case 'migrate-users':
+        case 'migrate':
+            const migrateArgs = args.slice(1);
+            const overwrite = migrateArgs.includes('--overwrite');
+            const sourceFile = path.resolve(migrateArgs.find(a => !a.startsWith('--')) || path.join(__dirname, 'data', 'authorized_users.json'));
+
+            if (!fs.existsSync(sourceFile)) {
+                console.log(`❌ Source file not found: ${sourceFile}`);
+                return;
+            }
+            if ((process.env.USER_STORE || 'json').toLowerCase() === 'json' && sourceFile === userManager.store.dataFile) {
+                console.log('⚠️  USER_STORE is json and the source is the active data file - nothing to migrate');
+                console.log('   Set USER_STORE=sqlite or USER_STORE=postgres first');
+                return;
+            }
+
+            console.log(`📦 Importing ${sourceFile} into ${process.env.USER_STORE || 'json'} store...`);
+            const summary = await userManager.importFromJson(sourceFile, { overwrite });
+            console.log(`✅ Imported: ${summary.imported}, Updated: ${summary.updated}, Skipped (already present): ${summary.skipped}`);
+            break;
+
+        case 'requests':
+            const stateFilter = args[1] && isNaN(parseInt(args[1])) ? args[1] : null;
+            const requestLimit = parseInt(stateFilter ? args[2] : args[1]) || 20;
+
+            if (stateFilter && !Object.values(RequestLedger.STATES).includes(stateFilter)) {
+                console.log(`❌ Unknown state '${stateFilter}'`);
+                console.log(`   Valid states: ${Object.values(RequestLedger.STATES).join(', ')}`);
+                return;
+            }
+
+            const requests = ledger.listRequests({ state: stateFilter, limit: requestLimit });
+            const counts = ledger.getStateCounts();
+
+            console.log('\n📒 Request Ledger');
+            console.log('=================');
+            console.log(Object.entries(counts).map(([state, count]) => `${state}: ${count}`).join(' | '));
+            console.log('');
+
+            if (requests.length === 0) {
+                console.log('No requests found');
+                return;
+            }
+            requests.forEach(formatRequest);
+            break;
+
+        case 'request':
+            const requestTx = args[1];
+            if (!requestTx) {
+                console.log('❌ Please specify a transaction ID');
+                console.log('Usage: node admin.js request <transactionId>');
+                return;
+            }
+
+            const ledgerRequest = ledger.getRequest(requestTx);
+            if (!ledgerRequest) {
+                console.log(`❌ No ledger entries for ${requestTx}`);
+                return;
+            }
+
+            console.log('\n📒 Request Lifecycle');
+            console.log('====================');
+            formatRequest(ledgerRequest);
+            for (const step of ledgerRequest.history) {
+                const extra = step.reason ? ` - ${step.reason}` : '';
+                console.log(`   ${new Date(step.at).toLocaleString()}  ${step.state}${extra}`);
+            }
             console.log('');
             break;
 
+        case 'pending':
+            const pendingList = recovery.loadPending();
+
+            console.log('\n🛟 Recovery Queue');
+            console.log('=================');
+            if (pendingList.length === 0) {
+                console.log('No pending credentials');
+                return;
+            }
+
+            for (const record of pendingList) {
+                const ageHours = ((Date.now() - new Date(record.created_at).getTime()) / 3600000).toFixed(1);
+                console.log(`🆕 ${record.username}`);
+                console.log(`   Sponsor: @${record.requester}`);
+                console.log(`   Created: ${new Date(record.created_at).toLocaleString()} (${ageHours}h ago)`);
+                if (record.deliveryMethod) console.log(`   Requested delivery: ${record.deliveryMethod}`);
+                if (record.stage && record.stage !== 'created') console.log(`   Stage: ${record.stage} (resumed on monitor start)`);
+                if (record.delivery_attempts) {
+                    const next = record.gave_up ? 'gave up' : `next retry ${new Date(record.next_attempt_at).toLocaleString()}`;
+                    console.log(`   Attempts: ${record.delivery_attempts} (${next})`);
+                    console.log(`   Last error: ${record.last_error}`);
+                }
+                console.log(`   Create TX: ${record.transactionId}`);
+                console.log('');
+            }
+            break;
+
+        case 'delegations': {
+            const delegations = getMonitor().delegations;
+            if (args.includes('--review')) {
+                const returned = await delegations.review();
+                console.log(`🤝 Returned ${returned.length} delegation(s)`);
+            }
+
+            const report = delegations.getReport();
+            console.log('\n🤝 Starter HP Delegations');
+            console.log('========================');
+            console.log(`Enabled: ${report.enabled ? `yes (${report.vests_per_account} per account)` : 'no'}`);
+            console.log(`Active: ${report.active_count} (${report.active_vests})`);
+            if (report.active_count > 0) {
+                try {
+                    // VESTS -> HP at the current chain ratio
+                    const props = await getMonitor().client.database.getDynamicGlobalProperties();
+                    const hivePerVests = parseFloat(props.total_vesting_fund_hive) / parseFloat(props.total_vesting_shares);
+                    const activeVests = DelegationManager.parseVests(report.active_vests);
+                    console.log(`        ≈ ${(activeVests * hivePerVests).toFixed(3)} HP`);
+                } catch (error) {
+                    // HP estimate is optional
+                }
+            }
+            const reasons = Object.entries(report.removed_by_reason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+            console.log(`Returned: ${report.removed_count}${reasons ? ` (${reasons})` : ''}`);
+            console.log('');
+
+            const shown = args.includes('all') ? delegations.load() : delegations.getActive();
+            for (const delegation of shown) {
+                const ageDays = ((Date.now() - Date.parse(delegation.delegated_at)) / 86400000).toFixed(1);
+                console.log(`👤 @${delegation.account} - ${DelegationManager.formatVests(delegation.vests)}`);
+                console.log(`   Sponsor: @${delegation.requester || '-'}`);
+                console.log(`   Delegated: ${new Date(delegation.delegated_at).toLocaleString()} (${ageDays} days ago)`);
+                if (delegation.status === 'removed') {
+                    console.log(`   Returned: ${new Date(delegation.removed_at).toLocaleString()} (${delegation.removal_reason})`);
+                }
+                if (delegation.last_error) console.log(`   Last error: ${delegation.last_error}`);
+                console.log('');
+            }
+            break;
+        }
+
+        case 'recovery-changes': {
+            const changes = getMonitor().onboarding.recoveryChanges({ all: args.includes('all') });
+            console.log('\n🛟 Recovery Account Changes');
+            console.log('==========================');
+            if (changes.length === 0) {
+                console.log('No pending recovery account changes');
+            }
+            for (const change of changes) {
+                const daysLeft = Math.ceil((Date.parse(change.effective_on) - Date.now()) / 86400000);
+                console.log(`👤 @${change.account} → @${change.recovery_account}`);
+                console.log(`   Requested: ${new Date(change.requested_at).toLocaleString()}`);
+                console.log(`   Effective: ${new Date(change.effective_on).toLocaleString()}${change.pending ? ` (in ${daysLeft} days)` : ' (done)'}`);
+                console.log(`   TX: ${change.transactionId}`);
+                console.log('');
+            }
+            break;
+        }
+
+        case 'templates': {
+            const authorityTemplates = getMonitor().authorityTemplates;
+            console.log('\n🔏 Authority Templates');
+            console.log('=====================');
+            for (const { name, description } of authorityTemplates.list()) {
+                console.log(`   ${name}${description ? ` - ${description}` : ''}`);
+                for (const role of ['owner', 'active', 'posting']) {
+                    const spec = authorityTemplates.templates[name][role];
+                    if (!spec) continue;
+                    const threshold = spec.weight_threshold || 1;
+                    const auths = (spec.account_auths || []).map(([account, weight]) => `${account}:${weight}`).join(', ');
+                    console.log(`      ${role}: threshold ${threshold}, key ${spec.key_weight || threshold}${auths ? `, accounts ${auths}` : ''}`);
+                }
+            }
+            console.log('');
+            break;
+        }
+
+        case 'retry-delivery':
+        case 'retry':
+            const retryRecord = requirePendingRecord(args[1], 'node admin.js retry-delivery <username> [email|memo|both]');
+            if (!retryRecord) return;
+            if (retryRecord.stage === 'creating' || retryRecord.stage === 'delivered') {
+                console.log(`❌ @${retryRecord.username} is mid-request (${retryRecord.stage}) - restart the monitor to resume it`);
+                return;
+            }
+
+            const retryMethod = DELIVERY_ALIASES[args[2] || retryRecord.deliveryMethod || 'hive_memo'];
+            if (!retryMethod) {
+                console.log(`❌ Unknown delivery method '${args[2]}' (use email, memo or both)`);
+                return;
+            }
+
+            const sponsor = await userManager.getUser(retryRecord.requester);
+            const retryMonitor = getMonitor();
+            console.log(`📬 Retrying ${retryMethod} delivery for @${retryRecord.username} (sponsor @${retryRecord.requester})`);
+
+            const delivery = await retryMonitor.deliverCredentials(retryRecord, retryMethod, sponsor ? sponsor.email : null);
+            if (delivery.success) {
+                await retryMonitor.completeDelivery(retryRecord, retryRecord.requestTransactionId, { ...delivery.details, retried_by: 'admin' });
+                console.log(`✅ Credentials delivered - @${retryRecord.username} removed from recovery queue`);
+            } else {
+                if (retryRecord.requestTransactionId) {
+                    ledger.record(retryRecord.requestTransactionId, RequestLedger.STATES.DELIVERY_FAILED, {
+                        ...delivery.details,
+                        reason: `Manual retry failed: ${delivery.reason}`
+                    });
+                }
+                console.log(`❌ Delivery failed: ${delivery.reason}`);
+            }
+            break;
+
+        case 'decrypt-pending':
+            const decryptedRecord = requirePendingRecord(args[1], 'node admin.js decrypt-pending <username>');
+            if (!decryptedRecord) return;
+
+            console.log(`\n🔓 Recovery record for @${decryptedRecord.username} (sponsor @${decryptedRecord.requester})`);
+            console.log('⚠️  Contains private keys - clear your terminal/scrollback afterwards');
+            console.log(JSON.stringify(decryptedRecord, null, 2));
+            break;
+
+        case 'export-pending':
+            const exportRecord = requirePendingRecord(args[1], 'node admin.js export-pending <username> [file]');
+            if (!exportRecord) return;
+
+            const exportFile = path.resolve(args[2] || path.join(__dirname, 'data', `export-${exportRecord.username}-${Date.now()}.json`));
+            try {
+                // wx: never overwrite, 0600: readable by the operator only
+                fs.writeFileSync(exportFile, JSON.stringify(exportRecord, null, 2), { flag: 'wx', mode: 0o600 });
+            } catch (error) {
+                console.log(`❌ Could not write export: ${error.message}`);
+                return;
+            }
+            console.log(`🔐 Exported @${exportRecord.username} to ${exportFile} (mode 0600)`);
+            console.log('⚠️  Contains private keys - hand over securely, then delete the file');
+            break;
+
+        case 'purge-pending':
+            const purgeRecord = requirePendingRecord(args[1], 'node admin.js purge-pending <username> --confirm [--no-token]', false);
+            if (!purgeRecord) return;
+
+            if (!args.includes('--confirm')) {
+                console.log('⚠️  This permanently deletes the stored credentials.');
+                console.log('   Only purge once the owner has confirmed receipt. Re-run with --confirm.');
+                return;
+            }
+
+            let purgeTokenUsed = false;
+            if (!args.includes('--no-token')) {
+                purgeTokenUsed = await userManager.useToken(purgeRecord.requester);
+                console.log(purgeTokenUsed ? `🎫 Token deducted from @${purgeRecord.requester}` : '⚠️  Token deduction failed');
+            }
+            if (purgeRecord.requestTransactionId) {
+                ledger.record(purgeRecord.requestTransactionId, RequestLedger.STATES.DELIVERED, {
+                    manual: true,
+                    token_deducted: purgeTokenUsed
+                });
+            }
+            recovery.removePending(purgeRecord.username);
+            console.log(`🗑️  Purged @${purgeRecord.username} from recovery queue`);
+            break;
+
+        case 'replay':
+            const replayFrom = parseInt(args[1]);
+            const replayTo = args[2] && !args[2].startsWith('--') ? parseInt(args[2]) : replayFrom;
+            const replayExecute = args.includes('--execute');
+            const replayOptions = {
+                includeRejected: args.includes('--include-rejected'),
+                includeInFlight: args.includes('--include-in-flight')
+            };
+            if (!replayFrom || !replayTo || replayTo < replayFrom) {
+                console.log('❌ Please specify a valid block range');
+                console.log('Usage: node admin.js replay <from> [to] [--execute] [--include-rejected] [--include-in-flight]');
+                return;
+            }
+
+            const replayer = new BlockReplayer(getMonitor());
+            console.log(`\n⏪ Scanning blocks ${replayFrom}-${replayTo}${replayExecute ? '' : ' (dry run)'}...`);
+            const plan = await replayer.scan(replayFrom, replayTo, replayOptions);
+
+            if (plan.length === 0) {
+                console.log('No faucet requests found in range');
+                return;
+            }
+            for (const item of plan) {
+                const icon = item.action === 'process' ? (replayExecute ? '▶️ ' : '🔎') : '⏭️ ';
+                console.log(`${icon} Block ${item.blockNumber} ${item.transactionId}`);
+                console.log(`   @${item.requester || '?'} → @${item.requested_username || '?'} (ledger: ${item.ledger_state || 'not seen'})`);
+                console.log(`   ${item.action === 'process' ? (replayExecute ? 'Processing' : 'Would process') : 'Skip'}: ${item.reason}`);
+            }
+
+            const toProcess = plan.filter(item => item.action === 'process').length;
+            console.log(`\n📊 ${plan.length} request(s), ${toProcess} to process`);
+            if (!replayExecute) {
+                if (toProcess > 0) console.log('   Re-run with --execute to process them (stop the running monitor first)');
+                return;
+            }
+
+            const replayed = await replayer.execute(plan);
+            console.log(`✅ Replayed ${replayed} request(s) - see: node admin.js requests`);
+            break;
+
         default:
             console.log(`❌ Unknown command: ${command}`);
             printUsage();
@@ -210,4 +619,9 @@ async function main() {
     }
 }
 
-main().catch(console.error);
+main()
+    .catch(console.error)
+    .finally(async () => {
+        await userManager.close();
+        if (monitor) await monitor.userManager.close();
+    });
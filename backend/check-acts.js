@@ -2,15 +2,11 @@
  * Simple script to check Account Creation Tokens (ACTs) for an account
  */
 
-const { Client } = require('@hiveio/dhive');
 require('dotenv').config();
+const NodePool = require('./services/node-pool');
 
-// Initialize Hive client
-const client = new Client([
-    process.env.HIVE_NODE_URL || 'https://api.hive.blog',
-    'https://api.hivekings.com',
-    'https://anyx.io'
-]);
+// Initialize Hive client (same node list / failover as the monitor)
+const client = new NodePool().client;
 
 async function checkAccountCreationTokens(username) {
     try {
@@ -33,6 +29,12 @@ async function checkAccountCreationTokens(username) {
         console.log(`👤 Account: @${username}`);
         console.log(`🎫 Pending ACTs: ${account.pending_claimed_accounts || 0}`);
         console.log(`⏰ Can claim free account: ${account.can_vote ? 'Yes' : 'No'}`);
+        try {
+            const rc = await client.rc.getRCMana(username);
+            console.log(`⚡ RC mana: ${(rc.current_mana / 1e9).toFixed(1)}B / ${(rc.max_mana / 1e9).toFixed(1)}B (${rc.percentage / 100}%)`);
+        } catch (error) {
+            console.log(`⚡ RC mana: unavailable (${error.message})`);
+        }
         console.log('');
         
         // Also show other relevant account info
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison (avoids leaking key length/prefix via timing)
+ */
+function safeEqual(a, b) {
+    const bufA = crypto.createHash('sha256').update(String(a)).digest();
+    const bufB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Extract an API key from `x-api-key` or `Authorization: Bearer <key>`
+ */
+function getRequestKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header;
+
+    const auth = req.get('authorization') || '';
+    const match = auth.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Build auth middleware bound to a SessionManager.
+ * - requireAdmin: API_AUTH_KEY, or a Keychain session whose account is in ADMIN_ACCOUNTS
+ * - requireSession: any valid Keychain session (admin or sponsor)
+ */
+function createAuth(sessions) {
+    function requireAdmin(req, res, next) {
+        const expected = process.env.API_AUTH_KEY;
+        const provided = getRequestKey(req);
+
+        if (expected && provided && safeEqual(provided, expected)) {
+            req.admin = { method: 'api_key' };
+            return next();
+        }
+
+        const session = sessions.getSession(provided);
+        if (session && session.role === 'admin') {
+            req.admin = { method: 'keychain', username: session.username };
+            req.session = session;
+            return next();
+        }
+
+        // Fails closed: with no API key and no admin accounts there is no way in
+        if (!expected && sessions.adminAccounts.length === 0) {
+            return res.status(503).json({ error: 'Admin API disabled - set API_AUTH_KEY or ADMIN_ACCOUNTS to enable' });
+        }
+        if (session) {
+            return res.status(403).json({ error: 'Admin role required' });
+        }
+        res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    function requireSession(req, res, next) {
+        const session = sessions.getSession(getRequestKey(req));
+        if (!session) {
+            return res.status(401).json({ error: 'Login required' });
+        }
+        req.session = session;
+        next();
+    }
+
+    return { requireAdmin, requireSession };
+}
+
+module.exports = { createAuth, getRequestKey, safeEqual };
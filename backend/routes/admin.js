@@ -0,0 +1,179 @@
+const express = require('express');
+const { USERNAME_PATTERN } = require('./auth');
+
+/**
+ * Map a UserManager { success, message } result onto an HTTP response
+ */
+function sendResult(res, result) {
+    if (result.success) {
+        return res.json(result);
+    }
+
+    let status = 400;
+    if (result.message === 'User not found') status = 404;
+    else if (result.message === 'User already exists') status = 409;
+    else if (result.message === 'Failed to save') status = 500;
+    res.status(status).json(result);
+}
+
+/**
+ * Parse a token count from the request body (must be a non-negative integer)
+ */
+function parseTokens(value) {
+    const tokens = Number(value);
+    return Number.isInteger(tokens) && tokens >= 0 ? tokens : null;
+}
+
+/**
+ * Pending recovery records without the secrets (keys stay server-side)
+ */
+function summarizePending(record) {
+    return {
+        username: record.username,
+        requester: record.requester,
+        created_at: record.created_at,
+        transactionId: record.transactionId,
+        stage: record.stage || 'created',
+        delivery_attempts: record.delivery_attempts || 0,
+        last_error: record.last_error || null,
+        next_attempt_at: record.next_attempt_at || null,
+        gave_up: !!record.gave_up
+    };
+}
+
+/**
+ * Admin REST API - mirrors the admin.js commands over HTTP (all routes require auth)
+ */
+function createAdminRouter(monitor, auth) {
+    const router = express.Router();
+    const { userManager, ledger } = monitor;
+
+    router.use(auth.requireAdmin);
+
+    // Only Hive account names reach the user store
+    router.param('username', (req, res, next, username) => {
+        if (!USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ success: false, message: 'Invalid Hive username' });
+        }
+        next();
+    });
+
+    // list-users
+    router.get('/users', async (req, res) => {
+        const data = await userManager.getAllUsers();
+        if (!data) return res.status(500).json({ error: 'Error loading user data' });
+        res.json(data);
+    });
+
+    // user <username>
+    router.get('/users/:username', async (req, res) => {
+        const user = await userManager.getUser(req.params.username);
+        if (!user) return res.status(404).json({ error: `User '${req.params.username}' not found` });
+        res.json({ username: req.params.username, ...user });
+    });
+
+    // add-user <username> [tokens]
+    router.post('/users', async (req, res) => {
+        const { username, email = null, notes = '' } = req.body || {};
+        const tokens = req.body && req.body.tokens !== undefined ? parseTokens(req.body.tokens) : 5;
+
+        if (!username) return res.status(400).json({ success: false, message: 'username is required' });
+        if (!USERNAME_PATTERN.test(username)) return res.status(400).json({ success: false, message: 'Invalid Hive username' });
+        if (tokens === null) return res.status(400).json({ success: false, message: 'tokens must be a non-negative integer' });
+
+        sendResult(res, await userManager.addUser(username, tokens, email, notes));
+    });
+
+    // give-tokens <username> <num>
+    router.post('/users/:username/give-tokens', async (req, res) => {
+        const tokens = parseTokens(req.body && req.body.tokens);
+        if (!tokens) return res.status(400).json({ success: false, message: 'tokens must be a positive integer' });
+
+        sendResult(res, await userManager.giveTokens(req.params.username, tokens));
+    });
+
+    // set-tokens <username> <num>
+    router.post('/users/:username/set-tokens', async (req, res) => {
+        const tokens = parseTokens(req.body && req.body.tokens);
+        if (tokens === null) return res.status(400).json({ success: false, message: 'tokens must be a non-negative integer' });
+
+        sendResult(res, await userManager.setTokens(req.params.username, tokens));
+    });
+
+    // activate / deactivate <username>
+    router.post('/users/:username/activate', async (req, res) => {
+        sendResult(res, await userManager.setUserStatus(req.params.username, true));
+    });
+
+    router.post('/users/:username/deactivate', async (req, res) => {
+        sendResult(res, await userManager.setUserStatus(req.params.username, false));
+    });
+
+    // setting <username> <key> <value> (value null resets to the default)
+    router.post('/users/:username/settings', async (req, res) => {
+        const { key, value = null } = req.body || {};
+        if (!key) return res.status(400).json({ success: false, message: 'key is required' });
+
+        sendResult(res, await userManager.setUserSetting(req.params.username, key, value));
+    });
+
+    // stats
+    router.get('/stats', async (req, res) => {
+        const stats = await userManager.getStats();
+        if (!stats) return res.status(500).json({ error: 'Error loading user data' });
+        res.json({ ...stats, requests: ledger.getStateCounts() });
+    });
+
+    // requests [state] / request <transactionId>
+    router.get('/requests', (req, res) => {
+        const limit = parseInt(req.query.limit) || 50;
+        res.json({
+            counts: ledger.getStateCounts(),
+            requests: ledger.listRequests({
+                state: req.query.state || null,
+                requester: req.query.requester || null,
+                limit: Math.min(limit, 500)
+            })
+        });
+    });
+
+    router.get('/requests/:transactionId', (req, res) => {
+        const request = ledger.getRequest(req.params.transactionId);
+        if (!request) return res.status(404).json({ error: 'Request not found' });
+        res.json(request);
+    });
+
+    // recovery-changes [all]
+    router.get('/recovery-changes', (req, res) => {
+        const changes = monitor.onboarding.recoveryChanges({ all: !!req.query.all });
+        res.json({ count: changes.length, changes });
+    });
+
+    // templates
+    router.get('/templates', (req, res) => {
+        const authorityTemplates = monitor.authorityTemplates;
+        res.json({
+            templates: authorityTemplates.list().map(({ name, description }) => ({
+                name,
+                description,
+                ...authorityTemplates.templates[name]
+            }))
+        });
+    });
+
+    // Recovery queue (credentials never leave the server through this route)
+    router.get('/pending', (req, res) => {
+        const pending = monitor.recovery.loadPending().map(summarizePending);
+        res.json({ count: pending.length, pending });
+    });
+
+    // delegations [all]
+    router.get('/delegations', (req, res) => {
+        const delegations = req.query.all ? monitor.delegations.load() : monitor.delegations.getActive();
+        res.json({ ...monitor.delegations.getReport(), delegations });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
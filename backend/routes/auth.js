@@ -0,0 +1,86 @@
+const express = require('express');
+const { getRequestKey } = require('../middleware/auth');
+
+const USERNAME_PATTERN = /^[a-z][a-z0-9.-]{2,15}$/;
+
+function normalizeUsername(value) {
+    return String(value || '').trim().toLowerCase().replace(/^@/, '');
+}
+
+/**
+ * Keychain login (challenge/response) and sponsor self-service routes
+ */
+function createAuthRouter(monitor, sessions, auth) {
+    const router = express.Router();
+    const { userManager, ledger } = monitor;
+
+    // Step 1: issue a nonce for the account to sign with requestSignBuffer
+    router.post('/auth/challenge', (req, res) => {
+        const username = normalizeUsername(req.body && req.body.username);
+        if (!USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Invalid Hive username' });
+        }
+        const result = sessions.createChallenge(username, req.ip);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result);
+    });
+
+    // Step 2: verify the signature against the on-chain keys and open a session
+    router.post('/auth/verify', async (req, res) => {
+        const { challenge, signature } = req.body || {};
+        const username = normalizeUsername(req.body && req.body.username);
+        if (!USERNAME_PATTERN.test(username) || !challenge || !signature) {
+            return res.status(400).json({ error: 'username, challenge and signature are required' });
+        }
+
+        try {
+            const result = await sessions.verifyChallenge(username, challenge, signature);
+            if (!result.success) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            console.log(`🔑 Keychain login: @${result.username} (${result.role})`);
+            res.json(result);
+        } catch (error) {
+            console.error('❌ Login verification error:', error.message);
+            res.status(502).json({ error: 'Unable to verify signature against the blockchain' });
+        }
+    });
+
+    router.get('/auth/session', auth.requireSession, (req, res) => {
+        res.json({
+            username: req.session.username,
+            role: req.session.role,
+            expiresAt: new Date(req.session.expiresAt).toISOString()
+        });
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        sessions.revoke(getRequestKey(req));
+        res.json({ success: true });
+    });
+
+    // Sponsor self-service: own quota and request history
+    router.get('/sponsor/me', auth.requireSession, async (req, res) => {
+        const username = req.session.username;
+        const user = await userManager.getUser(username);
+        if (!user) {
+            return res.status(404).json({ error: `@${username} is not a registered sponsor` });
+        }
+
+        res.json({
+            username,
+            active: user.is_active,
+            tokensAllocated: user.tokens_allocated,
+            tokensUsed: user.tokens_used,
+            tokensRemaining: user.tokens_remaining,
+            lastUsed: user.last_used,
+            requests: ledger.listRequests({ requester: username, limit: 100 })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter, USERNAME_PATTERN };
@@ -1,6 +1,10 @@
 const express = require('express');
 const cors = require('cors');
 const BlockchainMonitor = require('./services/blockchain-monitor');
+const SessionManager = require('./services/session-manager');
+const { createAdminRouter } = require('./routes/admin');
+const { createAuthRouter, USERNAME_PATTERN } = require('./routes/auth');
+const { createAuth } = require('./middleware/auth');
 require('dotenv').config();
 
 const app = express();
@@ -13,6 +17,10 @@ app.use(express.json());
 // Initialize blockchain monitor
 const monitor = new BlockchainMonitor();
 
+// Keychain login sessions + auth middleware
+const sessions = new SessionManager(monitor.client, monitor.userManager);
+const auth = createAuth(sessions);
+
 // Basic health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -20,6 +28,7 @@ app.get('/health', (req, res) => {
         service: 'hive-account-faucet-backend',
         version: '1.0.0',
         monitoring: monitor.isRunning,
+        dryRun: monitor.dryRun,
         lastBlock: monitor.lastProcessedBlock,
         timestamp: new Date().toISOString()
     });
@@ -29,15 +38,103 @@ app.get('/health', (req, res) => {
 app.get('/status', (req, res) => {
     res.json({
         monitoring: monitor.isRunning,
+        dryRun: monitor.dryRun,
         lastProcessedBlock: monitor.lastProcessedBlock,
+        blockMode: monitor.blockMode,
+        headBlock: monitor.headBlock,
+        lastIrreversibleBlock: monitor.irreversibleBlock,
+        blockLag: monitor.getBlockLag(),
+        catchingUp: monitor.catchingUp,
+        hiveNodes: monitor.nodePool.getStatus(),
+        accountCreationTokens: monitor.acts.getStatus(),
+        paidCreation: monitor.paidCreation.getStatus(),
+        delegations: monitor.delegations.getReport(),
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
         timestamp: new Date().toISOString()
     });
 });
 
+// Map ledger lifecycle states onto the status values the frontend polls for
+const API_STATUS = {
+    received: 'pending',
+    authorized: 'processing',
+    account_created: 'processing',
+    delivered: 'completed',
+    rejected: 'failed',
+    delivery_failed: 'failed'
+};
+
+const STATUS_MESSAGES = {
+    received: 'Request received, checking authorization...',
+    authorized: 'Authorized, creating account...',
+    account_created: 'Account created, delivering credentials...',
+    delivered: 'Account created successfully',
+    delivery_failed: 'Account created but credential delivery failed - the faucet operator will re-deliver'
+};
+
+// Request status for frontend polling (accepts transaction id or client requestId)
+app.get('/api/status/:requestId', (req, res) => {
+    const request = monitor.ledger.findRequest(req.params.requestId);
+
+    if (!request) {
+        // Not seen by the monitor yet (block not processed or still being broadcast)
+        return res.json({
+            requestId: req.params.requestId,
+            status: 'pending',
+            createdAt: null,
+            completedAt: null,
+            accountName: null,
+            message: 'Waiting for request to be picked up from the blockchain...'
+        });
+    }
+
+    const status = API_STATUS[request.state] || 'processing';
+    res.json({
+        requestId: request.request_id || request.transactionId,
+        transactionId: request.transactionId,
+        status,
+        state: request.state,
+        createdAt: request.created_at,
+        completedAt: status === 'completed' || status === 'failed' ? request.updated_at : null,
+        accountName: request.state === 'rejected' ? null : (request.requested_username || null),
+        message: request.state === 'rejected'
+            ? `Request rejected: ${request.reason}`
+            : (STATUS_MESSAGES[request.state] || 'Processing request...')
+    });
+});
+
+// Sponsor pre-flight check: will a request from this account be honoured?
+// Read-only and deliberately limited to status + token counts (never email/notes)
+app.get('/api/check-authorization/:username', async (req, res) => {
+    const username = String(req.params.username || '').toLowerCase().replace(/^@/, '');
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ error: 'Invalid Hive username' });
+    }
+
+    const auth = await monitor.userManager.checkAuthorization(username);
+    if (auth.reason === 'Database error') {
+        return res.status(503).json({ error: 'Authorization store unavailable' });
+    }
+
+    res.json({
+        username,
+        authorized: auth.authorized,
+        registered: auth.is_active !== undefined,
+        active: !!auth.is_active,
+        tokensRemaining: auth.tokens_remaining || 0,
+        reason: auth.authorized ? null : auth.reason
+    });
+});
+
+// Keychain login + sponsor self-service
+app.use(createAuthRouter(monitor, sessions, auth));
+
+// Admin API (API_AUTH_KEY or admin Keychain session)
+app.use('/admin', createAdminRouter(monitor, auth));
+
 // Start monitoring endpoint (for manual control)
-app.post('/monitor/start', (req, res) => {
+app.post('/monitor/start', auth.requireAdmin, (req, res) => {
     if (monitor.isRunning) {
         return res.json({ message: 'Monitor already running' });
     }
@@ -47,7 +144,7 @@ app.post('/monitor/start', (req, res) => {
 });
 
 // Stop monitoring endpoint (for manual control)
-app.post('/monitor/stop', (req, res) => {
+app.post('/monitor/stop', auth.requireAdmin, (req, res) => {
     monitor.stop();
     res.json({ message: 'Monitor stopped' });
 });
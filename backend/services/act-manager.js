@@ -0,0 +1,180 @@
+const { PrivateKey } = require('@hiveio/dhive');
+
+// RC regenerates fully over 5 days
+const RC_REGEN_SECONDS = 5 * 24 * 60 * 60;
+
+/**
+ * Account Creation Token (ACT) bookkeeping for the faucet account.
+ * Every ACT_CHECK_INTERVAL seconds it reads pending_claimed_accounts and RC mana;
+ * while the pool is below ACT_CLAIM_THRESHOLD and RC covers a claim
+ * (ACT_CLAIM_RC_COST, refined from the mana each claim actually used)
+ * it broadcasts claim_account. The monitor asks hasTokens() before staging
+ * a request so an empty pool is refused up front instead of failing at broadcast.
+ */
+class ActManager {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.interval = (options.interval || parseInt(process.env.ACT_CHECK_INTERVAL) || 600) * 1000;
+        // 0 is a valid threshold (never claim automatically), so only fall back on a missing/unparseable value
+        const envThreshold = parseInt(process.env.ACT_CLAIM_THRESHOLD);
+        this.threshold = options.threshold !== undefined ? options.threshold : (isNaN(envThreshold) ? 5 : envThreshold);
+        this.maxClaims = options.maxClaims || parseInt(process.env.ACT_MAX_CLAIMS_PER_CHECK) || 5;
+        this.claimCost = options.claimCost || Number(process.env.ACT_CLAIM_RC_COST) || 2e13;
+        this.autoClaim = options.autoClaim !== undefined ? options.autoClaim : process.env.ACT_AUTO_CLAIM !== 'false';
+        this.timer = null;
+        this.checking = null;
+
+        this.pending = null;
+        this.rcMana = null;
+        this.rcMax = null;
+        this.lastChecked = null;
+        this.lastClaim = null;
+        this.lastError = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.check(), this.interval);
+        if (this.timer.unref) this.timer.unref();
+        const claiming = this.autoClaim ? `claim below ${this.threshold}` : 'auto-claim off';
+        console.log(`🎫 ACT check every ${this.interval / 1000}s (${claiming})`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Read the faucet's ACT count and current RC mana from the chain
+     */
+    async refresh() {
+        const account = this.monitor.creatingAccount;
+        const [accounts, rcAccounts] = await Promise.all([
+            this.monitor.client.database.getAccounts([account]),
+            this.monitor.client.rc.findRCAccounts([account])
+        ]);
+        if (accounts.length === 0) throw new Error(`Faucet account @${account} not found`);
+
+        this.pending = parseInt(accounts[0].pending_claimed_accounts) || 0;
+        if (rcAccounts && rcAccounts.length > 0) {
+            const rc = this.monitor.client.rc.calculateRCMana(rcAccounts[0]);
+            this.rcMax = rc.max_mana;
+            this.rcMana = Math.min(rc.current_mana, rc.max_mana);
+        }
+        this.lastChecked = new Date().toISOString();
+        return this.pending;
+    }
+
+    /**
+     * Refresh, then claim ACTs while the pool is low and RC allows (one check at a time)
+     */
+    check() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => { this.checking = null; });
+        }
+        return this.checking;
+    }
+
+    async runCheck() {
+        try {
+            await this.refresh();
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.warn('⚠️  ACT check failed:', error.message);
+            this.monitor.nodePool.reportFailure(error);
+            return;
+        }
+
+        let claims = 0;
+        while (this.shouldClaim() && claims < this.maxClaims) {
+            if (!(await this.claim())) break;
+            claims++;
+        }
+    }
+
+    shouldClaim() {
+        return this.autoClaim &&
+            !this.monitor.dryRun &&
+            this.pending !== null &&
+            this.pending < this.threshold &&
+            this.rcMana !== null &&
+            this.rcMana >= this.claimCost;
+    }
+
+    /**
+     * Broadcast one claim_account paid with RC (fee 0)
+     */
+    async claim() {
+        const { creatingAccount, creatingActiveKey } = this.monitor;
+        const manaBefore = this.rcMana;
+        console.log(`🎫 Claiming an ACT for @${creatingAccount} (${this.pending} in pool, RC ${this.formatMana(this.rcMana)})`);
+
+        try {
+            const result = await this.monitor.client.broadcast.sendOperations([[
+                'claim_account',
+                { creator: creatingAccount, fee: '0.000 HIVE', extensions: [] }
+            ]], PrivateKey.fromString(creatingActiveKey));
+
+            this.lastClaim = { at: new Date().toISOString(), transactionId: result.id };
+            await this.refresh();
+            // Learn the real cost so the next decision uses it
+            if (manaBefore !== null && this.rcMana !== null && manaBefore > this.rcMana) {
+                this.claimCost = manaBefore - this.rcMana;
+            }
+            console.log(`✅ ACT claimed (TX ${result.id}) - ${this.pending} in pool`);
+            return true;
+        } catch (error) {
+            this.lastError = `claim_account failed: ${error.message}`;
+            console.warn(`⚠️  ${this.lastError}`);
+            return false;
+        }
+    }
+
+    /**
+     * Is there an ACT for the next request? Re-reads the chain when the cached count is empty or unknown.
+     */
+    async hasTokens() {
+        if (!this.pending) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                // Unknown is not empty - let the broadcast decide
+                console.warn('⚠️  Could not read ACT balance:', error.message);
+                return true;
+            }
+        }
+        return this.pending > 0;
+    }
+
+    /**
+     * Book-keep an ACT spent by create_claimed_account and top the pool back up in the background
+     */
+    used() {
+        if (this.pending) this.pending--;
+        if (this.shouldClaim()) this.check();
+    }
+
+    formatMana(mana) {
+        return mana === null ? 'unknown' : `${(mana / 1e9).toFixed(1)}B`;
+    }
+
+    getStatus() {
+        return {
+            account: this.monitor.creatingAccount,
+            pending_claimed_accounts: this.pending,
+            rc_mana: this.rcMana === null ? null : Math.floor(this.rcMana),
+            rc_max: this.rcMax,
+            rc_percent: this.rcMax ? Math.round((this.rcMana / this.rcMax) * 10000) / 100 : null,
+            claim_rc_cost: Math.round(this.claimCost),
+            claim_threshold: this.threshold,
+            auto_claim: this.autoClaim,
+            last_checked: this.lastChecked,
+            last_claim: this.lastClaim,
+            last_error: this.lastError
+        };
+    }
+}
+
+module.exports = ActManager;
@@ -0,0 +1,187 @@
+const fs = require('fs');
+
+const ROLES = ['owner', 'active', 'posting'];
+const MAX_WEIGHT = 65535;
+// HIVE_MAX_AUTHORITY_MEMBERSHIP
+const MAX_MEMBERS = 40;
+
+/**
+ * Authority layouts for new accounts. A role left out of a template gets the plain
+ * single-key authority. A role spec may set:
+ *   weight_threshold  (default 1)
+ *   key_weight        weight of the account's own key (default: the threshold)
+ *   account_auths     [[name, weight]]; "{sponsor}" / "{faucet}" are filled in per request
+ */
+const BUILT_IN = {
+    default: {
+        description: 'Every role is controlled by its own key only'
+    },
+    sponsor_posting: {
+        description: 'The sponsor can also post for the account (posting account_auth)',
+        posting: { account_auths: [['{sponsor}', 1]] }
+    },
+    sponsor_recovery: {
+        description: 'The sponsor can also sign owner changes (owner account_auth)',
+        owner: { account_auths: [['{sponsor}', 1]] }
+    },
+    sponsor_cosign: {
+        description: 'Active operations need both the account key and the sponsor (2-of-2)',
+        active: { weight_threshold: 2, key_weight: 1, account_auths: [['{sponsor}', 1]] }
+    }
+};
+
+function isWeight(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_WEIGHT;
+}
+
+/**
+ * Structural checks that need no chain access; returns a list of problems
+ */
+function templateErrors(template) {
+    const errors = [];
+    for (const role of ROLES) {
+        const spec = template[role];
+        if (!spec) continue;
+
+        const threshold = spec.weight_threshold === undefined ? 1 : spec.weight_threshold;
+        const keyWeight = spec.key_weight === undefined ? threshold : spec.key_weight;
+        const accountAuths = spec.account_auths || [];
+        if (!isWeight(threshold)) errors.push(`${role}: weight_threshold must be 1-${MAX_WEIGHT}`);
+        if (!isWeight(keyWeight)) errors.push(`${role}: key_weight must be 1-${MAX_WEIGHT}`);
+        if (!Array.isArray(accountAuths) || accountAuths.some(auth => !Array.isArray(auth) || typeof auth[0] !== 'string' || !isWeight(auth[1]))) {
+            errors.push(`${role}: account_auths must be [name, weight] pairs`);
+            continue;
+        }
+        if (new Set(accountAuths.map(([name]) => name)).size !== accountAuths.length) {
+            errors.push(`${role}: duplicate account_auths`);
+        }
+        if (accountAuths.length + 1 > MAX_MEMBERS) errors.push(`${role}: more than ${MAX_MEMBERS} members`);
+
+        const total = keyWeight + accountAuths.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total < threshold) errors.push(`${role}: weights (${total}) can never reach the threshold (${threshold})`);
+        // Whoever holds the master password must always be able to reset the keys
+        if (role === 'owner' && keyWeight < threshold) errors.push('owner: the owner key alone must reach the threshold');
+    }
+    return errors;
+}
+
+function sameAuthority(a, b) {
+    const normalize = authority => JSON.stringify({
+        weight_threshold: authority.weight_threshold,
+        key_auths: authority.key_auths.map(([key, weight]) => [String(key), weight]).sort(),
+        account_auths: authority.account_auths.map(([name, weight]) => [name, weight]).sort()
+    });
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Built-in templates plus any from AUTHORITY_TEMPLATES_FILE (a JSON object of templates).
+ * The template is chosen per request (authority_template in the request data) or per
+ * sponsor (authority_template setting), and validated before the account is staged.
+ */
+class AuthorityTemplates {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.templates = { ...BUILT_IN };
+
+        const file = options.templatesFile !== undefined ? options.templatesFile : process.env.AUTHORITY_TEMPLATES_FILE;
+        if (file) this.loadFile(file);
+    }
+
+    loadFile(file) {
+        let custom;
+        try {
+            custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Could not load authority templates from ${file}: ${error.message}`);
+            return;
+        }
+        for (const [name, template] of Object.entries(custom)) {
+            const errors = templateErrors(template);
+            if (errors.length > 0) {
+                console.warn(`⚠️  Ignoring authority template "${name}": ${errors.join('; ')}`);
+                continue;
+            }
+            this.templates[name] = template;
+        }
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.templates, name);
+    }
+
+    list() {
+        return Object.entries(this.templates).map(([name, template]) => ({ name, description: template.description || '' }));
+    }
+
+    /**
+     * owner/active/posting authorities for `username` from a template
+     */
+    build(name, keys, context = {}) {
+        const template = this.templates[name];
+        if (!template) throw new Error(`Unknown authority template "${name}"`);
+
+        const fill = account => account
+            .replace('{sponsor}', context.sponsor || '')
+            .replace('{faucet}', this.monitor.creatingAccount || '');
+
+        const authorities = {};
+        for (const role of ROLES) {
+            const spec = template[role] || {};
+            const threshold = spec.weight_threshold || 1;
+            authorities[role] = {
+                weight_threshold: threshold,
+                // The chain keeps account_auths sorted by name
+                account_auths: (spec.account_auths || [])
+                    .map(([account, weight]) => [fill(account), weight])
+                    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+                key_auths: [[keys[`${role}Public`], spec.key_weight || threshold]]
+            };
+        }
+        return authorities;
+    }
+
+    /**
+     * Build and check a template for one request. Returns { success, authorities } or { success: false, error }
+     */
+    async resolve(name, keys, context = {}) {
+        if (!this.has(name)) {
+            return { success: false, error: `Unknown authority template "${name}"` };
+        }
+
+        const errors = templateErrors(this.templates[name]);
+        const authorities = this.build(name, keys, context);
+        const members = new Set();
+        for (const role of ROLES) {
+            for (const [account] of authorities[role].account_auths) {
+                if (!account) errors.push(`${role}: template needs a sponsor`);
+                else if (account === context.username) errors.push(`${role}: account cannot authorize itself`);
+                else members.add(account);
+            }
+        }
+        if (errors.length > 0) return { success: false, error: errors.join('; ') };
+
+        // Every account_auth must exist, or the broadcast fails (a read - dry runs check it too)
+        if (members.size > 0) {
+            let accounts;
+            try {
+                accounts = await this.monitor.client.database.getAccounts([...members]);
+            } catch (error) {
+                return { success: false, error: `Could not check template accounts: ${error.message}` };
+            }
+            const found = new Set(accounts.map(account => account.name));
+            const missing = [...members].filter(account => !found.has(account));
+            if (missing.length > 0) {
+                return { success: false, error: `${missing.map(account => `@${account}`).join(', ')} not found on chain` };
+            }
+        }
+
+        return { success: true, authorities };
+    }
+}
+
+AuthorityTemplates.BUILT_IN = BUILT_IN;
+AuthorityTemplates.templateErrors = templateErrors;
+AuthorityTemplates.sameAuthority = sameAuthority;
+
+module.exports = AuthorityTemplates;
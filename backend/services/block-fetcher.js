@@ -0,0 +1,99 @@
+/**
+ * The node answered that it does not serve the method (JSON-RPC "method not found")
+ */
+function isUnsupportedMethod(error) {
+    return !!error && error.name === 'RPCError' &&
+        /could not find (method|api)|method not found|unknown method/i.test(error.message);
+}
+
+/**
+ * Bulk block download for catch-up after downtime.
+ * Fetches consecutive ranges with block_api.get_block_range (falling back to
+ * single getBlock calls on nodes that do not serve it), with at most `concurrency`
+ * ranges in flight, and always returns blocks in ascending order.
+ */
+class BlockFetcher {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.batchSize = options.batchSize || parseInt(process.env.CATCHUP_BATCH_SIZE) || 50;
+        this.concurrency = options.concurrency || parseInt(process.env.CATCHUP_CONCURRENCY) || 4;
+        // Per node, so moving to another node in the pool tries get_block_range again
+        this.unsupportedNodes = new Set();
+    }
+
+    get rangeSupported() {
+        return !this.unsupportedNodes.has(this.client.currentAddress);
+    }
+
+    /**
+     * Blocks `from`..`to` (inclusive) as [{ blockNumber, block }], stopping at the first
+     * missing block so callers never process past a gap
+     */
+    async fetchBlocks(from, to) {
+        const ranges = [];
+        for (let start = from; start <= to && ranges.length < this.concurrency; start += this.batchSize) {
+            ranges.push([start, Math.min(this.batchSize, to - start + 1)]);
+        }
+
+        const results = await Promise.all(ranges.map(([start, count]) => this.fetchRange(start, count)));
+
+        const blocks = [];
+        let expected = from;
+        for (const range of results) {
+            for (const entry of range) {
+                if (entry.blockNumber !== expected) return blocks;
+                blocks.push(entry);
+                expected++;
+            }
+        }
+        return blocks;
+    }
+
+    async fetchRange(start, count) {
+        if (this.rangeSupported) {
+            const node = this.client.currentAddress;
+            try {
+                const result = await this.client.call('block_api', 'get_block_range', {
+                    starting_block_num: start,
+                    count
+                });
+                return (result.blocks || []).map(block => ({
+                    blockNumber: parseInt(block.block_id.substring(0, 8), 16),
+                    block: BlockFetcher.normalizeBlock(block)
+                }));
+            } catch (error) {
+                // Timeouts and other failures are retried by the stream loop (and rotate the node)
+                if (!isUnsupportedMethod(error)) throw error;
+                console.warn(`⚠️  ${node} does not serve get_block_range (${error.message}) - falling back to single block fetches`);
+                this.unsupportedNodes.add(node);
+            }
+        }
+
+        const blocks = [];
+        for (let blockNumber = start; blockNumber < start + count; blockNumber++) {
+            const block = await this.client.database.getBlock(blockNumber);
+            if (!block) break;
+            blocks.push({ blockNumber, block });
+        }
+        return blocks;
+    }
+
+    /**
+     * Convert block_api output ({ type: 'custom_json_operation', value }, ids in
+     * transaction_ids) to the condenser shape processBlock expects
+     */
+    static normalizeBlock(block) {
+        const transactions = (block.transactions || []).map((transaction, index) => ({
+            ...transaction,
+            transaction_id: transaction.transaction_id || (block.transaction_ids || [])[index],
+            operations: (transaction.operations || []).map(operation =>
+                Array.isArray(operation)
+                    ? operation
+                    : [operation.type.replace(/_operation$/, ''), operation.value]
+            )
+        }));
+        return { ...block, transactions };
+    }
+}
+
+module.exports = BlockFetcher;
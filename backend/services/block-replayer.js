@@ -0,0 +1,141 @@
+const RequestLedger = require('./request-ledger');
+
+const { STATES } = RequestLedger;
+
+// The monitor is still working on these (the startup resumer finishes them)
+const IN_FLIGHT = [STATES.RECEIVED, STATES.AUTHORIZED];
+
+/**
+ * Re-examine a past block range for hive_account_faucet requests (admin.js replay).
+ * scan() only reads: it builds a plan saying what would happen to each request.
+ * execute() runs the requests the plan marks for processing - valid requests the
+ * ledger has never seen, whose username does not exist on chain and is not waiting
+ * in the recovery queue. Requests the monitor rejected or is still working on are
+ * only included when asked for (includeRejected / includeInFlight).
+ */
+class BlockReplayer {
+    constructor(monitor) {
+        this.monitor = monitor;
+    }
+
+    /**
+     * Faucet custom_json ops in blocks from..to (inclusive), in block order
+     */
+    async findRequests(from, to) {
+        const found = [];
+        let next = from;
+
+        while (next <= to) {
+            const blocks = await this.monitor.fetcher.fetchBlocks(next, to);
+            if (blocks.length === 0) throw new Error(`Could not fetch block ${next}`);
+
+            for (const { blockNumber, block } of blocks) {
+                for (const transaction of block.transactions || []) {
+                    for (const [opIndex, [type, operation]] of transaction.operations.entries()) {
+                        if (type !== 'custom_json' || operation.id !== 'hive_account_faucet') continue;
+                        found.push(this.parse(operation, blockNumber, RequestLedger.requestKey(transaction.transaction_id, opIndex)));
+                    }
+                }
+                next = blockNumber + 1;
+            }
+        }
+        return found;
+    }
+
+    parse(operation, blockNumber, transactionId) {
+        const entry = {
+            blockNumber,
+            transactionId,
+            requester: operation.required_posting_auths[0] || operation.required_auths[0],
+            requestData: null
+        };
+        try {
+            entry.requestData = JSON.parse(operation.json);
+        } catch {
+            // reported as invalid below
+        }
+        return entry;
+    }
+
+    /**
+     * Decide what to do with every request in the range (no side effects)
+     */
+    async scan(from, to, options = {}) {
+        const { monitor } = this;
+        const entries = await this.findRequests(from, to);
+
+        const usernames = entries
+            .filter(entry => entry.requestData && monitor.validateRequest(entry.requestData))
+            .map(entry => entry.requestData.data.requested_username);
+        const existing = await this.existingAccounts(usernames);
+        const queued = new Set(monitor.recovery.loadPending().map(record => record.username));
+
+        return entries.map(entry => {
+            const ledgerEntry = monitor.ledger.getRequest(entry.transactionId);
+            const item = {
+                ...entry,
+                requested_username: null,
+                ledger_state: ledgerEntry ? ledgerEntry.state : null,
+                action: 'skip',
+                reason: null
+            };
+
+            if (!entry.requestData || !monitor.validateRequest(entry.requestData)) {
+                item.reason = 'invalid request format';
+                return item;
+            }
+
+            item.requested_username = entry.requestData.data.requested_username;
+            if (existing.has(item.requested_username)) {
+                item.reason = 'account exists on chain';
+            } else if (queued.has(item.requested_username)) {
+                item.reason = 'waiting in recovery queue';
+            } else if (!item.ledger_state) {
+                item.action = 'process';
+                item.reason = 'never seen by the monitor';
+            } else if (item.ledger_state === STATES.REJECTED) {
+                if (options.includeRejected) item.action = 'process';
+                item.reason = `rejected: ${ledgerEntry.reason || 'no reason recorded'}`;
+            } else if (IN_FLIGHT.includes(item.ledger_state)) {
+                if (options.includeInFlight) item.action = 'process';
+                item.reason = 'in flight - resumed when the monitor starts';
+            } else {
+                item.reason = 'ledger has it past creation but the account is not on chain - check manually';
+            }
+            return item;
+        });
+    }
+
+    async existingAccounts(usernames) {
+        const existing = new Set();
+        const unique = Array.from(new Set(usernames));
+        for (let i = 0; i < unique.length; i += 100) {
+            const accounts = await this.monitor.client.database.getAccounts(unique.slice(i, i + 100));
+            accounts.forEach(account => existing.add(account.name));
+        }
+        return existing;
+    }
+
+    /**
+     * Run every 'process' item through the normal request flow (authorization, tokens, ledger)
+     */
+    async execute(plan) {
+        let processed = 0;
+        for (const item of plan) {
+            if (item.action !== 'process') continue;
+
+            await this.monitor.processAccountRequest({
+                ...item.requestData,
+                requestId: item.requestData.requestId || item.requestData.data.request_id || null,
+                blockNumber: item.blockNumber,
+                transactionId: item.transactionId,
+                requester: item.requester,
+                replayed: true
+            });
+            processed++;
+        }
+        return processed;
+    }
+}
+
+module.exports = BlockReplayer;
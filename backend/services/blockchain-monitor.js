@@ -1,28 +1,70 @@
-const { Client, PrivateKey } = require('@hiveio/dhive');
+const { PrivateKey } = require('@hiveio/dhive');
 const hive = require('@hiveio/hive-js'); // For proper memo encryption (hive-js has working memo.encode)
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const UserManager = require('./user-manager');
 const EmailService = require('./email-service');
+const RequestLedger = require('./request-ledger');
+const RecoveryStore = require('./recovery-store');
+const DeliveryRetrier = require('./delivery-retrier');
+const ActManager = require('./act-manager');
+const PaidCreation = require('./paid-creation');
+const DelegationManager = require('./delegation-manager');
+const Onboarding = require('./onboarding');
+const AuthorityTemplates = require('./authority-templates');
+const RequestResumer = require('./request-resumer');
+const BlockFetcher = require('./block-fetcher');
+const NodePool = require('./node-pool');
+const { isDryRun, dataFileName } = require('./dry-run');
+
+const { STATES } = RequestLedger;
 require('dotenv').config();
 
+// Key roles derived from the master password (generateAccountKeys)
+const KEY_ROLES = ['owner', 'active', 'posting', 'memo'];
+
+/**
+ * Broadcast errors that leave it unknown whether the transaction was applied: the node or
+ * connection failed after sending, or dhive's retry of a sent transaction hit the first copy
+ */
+function isAmbiguousBroadcastError(error) {
+    return NodePool.isNodeError(error) || /already exists|duplicate transaction/i.test(error.message);
+}
+
 class BlockchainMonitor {
-    constructor() {
-        // Configure hive-js API endpoint to match dhive (consistency)
-        hive.api.setOptions({ url: process.env.HIVE_NODE_URL || 'https://api.hive.blog' });
-
-        this.client = new Client([
-            process.env.HIVE_NODE_URL || 'https://api.hive.blog',
-            'https://api.hivekings.com',
-            'https://anyx.io'
-        ]);
-
-        this.userManager = new UserManager();
-        this.emailService = new EmailService();
+    /**
+     * options (all optional, used by the integration tests):
+     *   dataDir      - where ledger, recovery queue and block checkpoint live (default backend/data)
+     *   nodes        - Hive API node list (default HIVE_NODES / HIVE_NODE_URL)
+     *   userManager  - sponsor store
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+
+        // Shared node pool keeps dhive and hive-js on the same healthy node
+        this.nodePool = new NodePool({ nodes: options.nodes });
+        this.client = this.nodePool.client;
+
+        this.userManager = options.userManager || new UserManager();
+        this.dryRun = isDryRun();
+        this.emailService = new EmailService({ sink: this.dryRun });
+        this.ledger = new RequestLedger({ ledgerFile: path.join(this.dataDir, dataFileName('request_ledger.jsonl')) });
         this.isRunning = false;
     this.lastProcessedBlock = 0; // Will be set by loadLastBlock() or env fallback
     this.blockSaveInterval = parseInt(process.env.BLOCK_SAVE_INTERVAL) || 20; // save every N blocks
 
+        // irreversible (default): only act on blocks that can no longer be forked out
+        // head: act on head blocks (~1 min faster, but a forked-out request could still create an account)
+        this.blockMode = (process.env.BLOCK_MODE || 'irreversible').toLowerCase() === 'head' ? 'head' : 'irreversible';
+        this.headBlock = 0;
+        this.irreversibleBlock = 0;
+        this.chainHeightUpdatedAt = 0;
+
+        // Catch-up mode: when further behind than CATCHUP_THRESHOLD blocks, fetch ranges in parallel
+        this.catchupThreshold = parseInt(process.env.CATCHUP_THRESHOLD) || 100;
+        this.catchingUp = false;
+
         // Faucet operator credentials
         this.creatingAccount = process.env.CREATING_ACCOUNT_USERNAME;
         this.creatingActiveKey = process.env.CREATING_ACCOUNT_ACTIVE_KEY; // Needed for create_claimed_account + transfer
@@ -35,10 +77,17 @@ class BlockchainMonitor {
         if (!this.creatingMemoKey || this.creatingMemoKey === 'your_memo_key_here') console.warn('⚠️  Missing CREATING_ACCOUNT_MEMO_KEY (needed for encrypted memos)');
 
         // Prepare recovery store (so we never “lose” generated credentials again)
-        this.recoveryDir = path.join(__dirname, '..', 'data');
-        this.recoveryFile = path.join(this.recoveryDir, 'pending_credentials.json');
-        this.lastBlockFile = path.join(this.recoveryDir, 'last_block.json');
-        this.ensureRecoveryFile();
+        this.recovery = new RecoveryStore({ recoveryDir: this.dataDir });
+        if (!this.recovery.canEncrypt) console.warn('⚠️  No ENCRYPTION_SECRET or memo key - account requests will be refused (recovery store cannot be encrypted)');
+        this.lastBlockFile = path.join(this.dataDir, dataFileName('last_block.json'));
+        this.retrier = new DeliveryRetrier(this);
+        this.acts = new ActManager(this);
+        this.paidCreation = new PaidCreation(this);
+        this.delegations = new DelegationManager(this);
+        this.onboarding = new Onboarding(this);
+        this.authorityTemplates = new AuthorityTemplates(this);
+        this.resumer = new RequestResumer(this);
+        this.fetcher = new BlockFetcher(this.client);
 
         // Load last processed block from disk (for crash / reboot resilience)
         this.loadLastBlock();
@@ -54,46 +103,10 @@ class BlockchainMonitor {
         }
 
         console.log('🔗 Blockchain Monitor initialized');
+        if (this.dryRun) console.log('🧪 DRY RUN MODE - no broadcasts, emails or token deductions (separate *.dry-run data files)');
         console.log(`🏭 Faucet account: @${this.creatingAccount || 'NOT SET'}`);
     }
 
-    ensureRecoveryFile() {
-        try {
-            if (!fs.existsSync(this.recoveryDir)) fs.mkdirSync(this.recoveryDir, { recursive: true });
-            if (!fs.existsSync(this.recoveryFile)) fs.writeFileSync(this.recoveryFile, JSON.stringify({ pending: [] }, null, 2));
-        } catch (e) {
-            console.warn('⚠️  Could not prepare recovery file:', e.message);
-        }
-    }
-
-    loadPending() {
-        try {
-            const raw = fs.readFileSync(this.recoveryFile, 'utf8');
-            return JSON.parse(raw).pending || [];
-        } catch {
-            return [];
-        }
-    }
-
-    savePending(list) {
-        try {
-            fs.writeFileSync(this.recoveryFile, JSON.stringify({ pending: list }, null, 2));
-        } catch (e) {
-            console.warn('⚠️  Failed to write recovery file:', e.message);
-        }
-    }
-
-    addPending(record) {
-        const list = this.loadPending();
-        list.push(record);
-        this.savePending(list);
-    }
-
-    removePending(username) {
-        const list = this.loadPending().filter(r => r.username !== username);
-        this.savePending(list);
-    }
-
     loadLastBlock() {
         try {
             if (fs.existsSync(this.lastBlockFile)) {
@@ -135,12 +148,27 @@ class BlockchainMonitor {
         this.isRunning = true;
 
         try {
+            this.nodePool.start();
+
             // Get current head block if we don't have a starting point
+            await this.refreshChainHeight();
             if (this.lastProcessedBlock === 0) {
-                const props = await this.client.database.getDynamicGlobalProperties();
-                this.lastProcessedBlock = props.head_block_number - 1;
+                this.lastProcessedBlock = this.processableBlock() - 1;
                 console.log(`📍 Starting from block: ${this.lastProcessedBlock}`);
             }
+            console.log(`🧱 Block mode: ${this.blockMode} (head ${this.headBlock}, irreversible ${this.irreversibleBlock})`);
+
+            // Know the ACT pool (and top it up) before taking requests
+            await this.acts.check();
+            console.log(`🎫 ACTs available: ${this.acts.pending === null ? 'unknown' : this.acts.pending}`);
+
+            // Finish requests interrupted by a crash/restart before anything new
+            await this.resumer.resumeAll();
+
+            // Background jobs while we stream: delivery retries, ACT top-ups, delegation returns
+            this.retrier.start();
+            this.acts.start();
+            this.delegations.start();
 
             // Start streaming blocks
             await this.streamBlocks();
@@ -158,17 +186,31 @@ class BlockchainMonitor {
         
         while (this.isRunning) {
             try {
-                // Get next block
                 const nextBlock = this.lastProcessedBlock + 1;
+
+                // Only fetch blocks the configured mode allows (refresh heights when caught up or stale)
+                if (nextBlock > this.processableBlock() || Date.now() - this.chainHeightUpdatedAt > 30000) {
+                    await this.refreshChainHeight();
+                }
+                if (nextBlock > this.processableBlock()) {
+                    await this.sleep(3000);
+                    continue;
+                }
+
+                if (this.processableBlock() - this.lastProcessedBlock > this.catchupThreshold) {
+                    await this.catchUp();
+                    continue;
+                }
+                if (this.catchingUp) {
+                    this.catchingUp = false;
+                    console.log(`📡 Caught up at block ${this.lastProcessedBlock} - back to live tailing`);
+                }
+
+                // Get next block
                 const block = await this.client.database.getBlock(nextBlock);
                 
                 if (block) {
-                    await this.processBlock(block, nextBlock);
-                    this.lastProcessedBlock = nextBlock;
-                    // Periodically persist progress
-                    if (nextBlock % this.blockSaveInterval === 0) {
-                        this.saveLastBlock();
-                    }
+                    await this.handleBlock(block, nextBlock);
                 } else {
                     // No new block yet, wait a bit
                     await this.sleep(3000); // Wait 3 seconds
@@ -180,6 +222,66 @@ class BlockchainMonitor {
         }
     }
 
+    /**
+     * Process one block and advance (and periodically persist) the checkpoint
+     */
+    async handleBlock(block, blockNumber) {
+        await this.processBlock(block, blockNumber);
+        this.lastProcessedBlock = blockNumber;
+        if (blockNumber % this.blockSaveInterval === 0) {
+            this.saveLastBlock();
+        }
+    }
+
+    /**
+     * Catch-up mode: download the next ranges in parallel, then process them strictly in order
+     */
+    async catchUp() {
+        const target = this.processableBlock();
+        if (!this.catchingUp) {
+            this.catchingUp = true;
+            console.log(`⏩ ${target - this.lastProcessedBlock} blocks behind - catching up (${this.fetcher.concurrency} x ${this.fetcher.batchSize} blocks per round)`);
+        }
+
+        const blocks = await this.fetcher.fetchBlocks(this.lastProcessedBlock + 1, target);
+        if (blocks.length === 0) {
+            await this.sleep(3000);
+            return;
+        }
+
+        for (const { blockNumber, block } of blocks) {
+            if (!this.isRunning) break;
+            await this.handleBlock(block, blockNumber);
+        }
+        console.log(`⏩ Processed up to block ${this.lastProcessedBlock} (${target - this.lastProcessedBlock} to go)`);
+    }
+
+    /**
+     * Update head / last irreversible block numbers from the node
+     */
+    async refreshChainHeight() {
+        const props = await this.client.database.getDynamicGlobalProperties();
+        this.headBlock = props.head_block_number;
+        this.irreversibleBlock = props.last_irreversible_block_num;
+        this.chainHeightUpdatedAt = Date.now();
+        return this.processableBlock();
+    }
+
+    /**
+     * Highest block the monitor may process in the current mode
+     */
+    processableBlock() {
+        return this.blockMode === 'head' ? this.headBlock : this.irreversibleBlock;
+    }
+
+    /**
+     * Blocks between chain head and the last processed block (null until heights are known)
+     */
+    getBlockLag() {
+        if (!this.headBlock || !this.lastProcessedBlock) return null;
+        return Math.max(this.headBlock - this.lastProcessedBlock, 0);
+    }
+
     /**
      * Process a single block for our custom JSON operations
      */
@@ -191,10 +293,11 @@ class BlockchainMonitor {
         console.log(`🔍 Processing block ${blockNumber} (${block.transactions.length} transactions)`);
 
         for (const transaction of block.transactions) {
-            for (const operation of transaction.operations) {
-                // Look for custom_json operations
+            for (const [opIndex, operation] of transaction.operations.entries()) {
+                // Look for custom_json operations (each one is its own request, even within one transaction)
                 if (operation[0] === 'custom_json') {
-                    await this.processCustomJson(operation[1], blockNumber, transaction.transaction_id);
+                    const requestKey = RequestLedger.requestKey(transaction.transaction_id, opIndex);
+                    await this.processCustomJson(operation[1], blockNumber, requestKey);
                 }
             }
         }
@@ -210,6 +313,12 @@ class BlockchainMonitor {
                 return;
             }
 
+            // Blocks since the last saved checkpoint are re-scanned after a restart - handle each tx once
+            if (this.ledger.hasTransaction(transactionId)) {
+                console.log(`⏭️  Skipping already processed transaction ${transactionId} (block ${blockNumber})`);
+                return;
+            }
+
             // Parse the JSON data first
             const requestData = JSON.parse(operation.json);
             const requester = operation.required_posting_auths[0] || operation.required_auths[0];
@@ -222,11 +331,21 @@ class BlockchainMonitor {
                 // Process the account creation request
                 await this.processAccountRequest({
                     ...requestData,
+                    requestId: requestData.requestId || requestData.data.request_id || null,
                     blockNumber,
                     transactionId,
                     requester
                 });
             } else {
+                // Keep the client's id when there is one so /api/status can report the rejection
+                const data = requestData && typeof requestData.data === 'object' ? requestData.data : null;
+                const requestId = (requestData && requestData.requestId) || (data && data.request_id) || null;
+                this.ledger.record(transactionId, STATES.REJECTED, {
+                    blockNumber,
+                    requester,
+                    request_id: requestId || undefined,
+                    reason: 'Invalid request format'
+                });
                 console.log('❌ INVALID REQUEST FORMAT DETECTED');
                 console.log(`📋 Block: ${blockNumber}, TX: ${transactionId}`);
                 console.log(`👤 From: ${requester}`);
@@ -302,11 +421,26 @@ class BlockchainMonitor {
         console.log(`   🔗 TX: ${request.transactionId}`);
         console.log('');
 
+        const txId = request.transactionId;
+        this.ledger.record(txId, STATES.RECEIVED, {
+            blockNumber: request.blockNumber,
+            requester: request.requester,
+            requested_username: request.data.requested_username,
+            delivery_method: request.data.delivery_method,
+            // Kept so a request interrupted before staging is re-run exactly as submitted
+            authority_template: request.data.authority_template || undefined,
+            notes: request.data.notes || undefined,
+            request_id: request.requestId,
+            replayed: request.replayed || undefined,
+            dry_run: this.dryRun || undefined
+        });
+
         // Step 1: Check authorization
         console.log('🔐 STEP 1: Checking authorization...');
-        const authCheck = this.userManager.checkAuthorization(request.requester);
+        const authCheck = await this.userManager.checkAuthorization(request.requester);
         
         if (!authCheck.authorized) {
+            this.ledger.record(txId, STATES.REJECTED, { reason: authCheck.reason });
             console.log(`❌ AUTHORIZATION FAILED: ${authCheck.reason}`);
             if (authCheck.tokens_allocated) {
                 console.log(`   📊 User has used ${authCheck.tokens_used}/${authCheck.tokens_allocated} tokens`);
@@ -317,73 +451,267 @@ class BlockchainMonitor {
             return;
         }
 
+        this.ledger.record(txId, STATES.AUTHORIZED, { tokens_remaining: authCheck.tokens_remaining });
         console.log('✅ AUTHORIZATION SUCCESSFUL');
         console.log(`   📊 Tokens: ${authCheck.tokens_used}/${authCheck.tokens_allocated} used`);
         console.log(`   🎫 Remaining tokens: ${authCheck.tokens_remaining}`);
         console.log('');
 
+        // Credentials must be persisted encrypted before delivery - refuse rather than create an unrecoverable account
+        if (!this.recovery.canEncrypt) {
+            this.ledger.record(txId, STATES.REJECTED, { reason: 'Recovery store encryption key not configured' });
+            console.log('❌ Recovery store encryption key not configured (ENCRYPTION_SECRET)');
+            console.log('🚫 REQUEST REJECTED - No token deducted');
+            console.log('=' .repeat(60));
+            console.log('');
+            return;
+        }
+
+        const username = request.data.requested_username;
+        if (this.recovery.loadPending().some(record => record.username === username)) {
+            this.ledger.record(txId, STATES.REJECTED, { reason: `@${username} is already in the recovery queue` });
+            console.log(`❌ @${username} already has a pending record - refusing to create it twice`);
+            console.log('🚫 REQUEST REJECTED - No token deducted');
+            console.log('=' .repeat(60));
+            console.log('');
+            return;
+        }
+
+        // Refuse up front rather than fail the broadcast (and leave a half-staged request)
+        let creationFee = null;
+        if (!(await this.acts.hasTokens())) {
+            const paid = await this.paidCreation.quote(authCheck.user_info);
+            if (!paid.allowed) {
+                const reason = this.paidCreation.enabled
+                    ? `No Account Creation Tokens available (paid fallback: ${paid.reason})`
+                    : 'No Account Creation Tokens available';
+                this.ledger.record(txId, STATES.REJECTED, { reason });
+                console.log(`❌ @${this.creatingAccount} has no Account Creation Tokens`);
+                if (this.paidCreation.enabled) console.log(`   💸 Paid fallback refused: ${paid.reason}`);
+                console.log('🚫 REQUEST REJECTED - No token deducted');
+                console.log('=' .repeat(60));
+                console.log('');
+                this.acts.check();
+                return;
+            }
+
+            creationFee = paid.fee;
+            console.log(`💸 No ACTs left - paying the ${creationFee} account creation fee`);
+            this.acts.check();
+        }
+
         // Step 2: Create REAL Hive Account
         console.log('🔨 STEP 2: Creating REAL Hive account...');
-        const masterPassword = this.generateMasterPassword();
-        const keys = this.generateAccountKeys(request.data.requested_username, masterPassword);
-        
-        const accountCreationResult = await this.createHiveAccount(
-            request.data.requested_username,
+        // Dry runs go through the mock generator (same derivation, never broadcast)
+        const keys = this.dryRun
+            ? this.generateMockAccountData(username, request.requester)
+            : this.generateAccountKeys(username, this.generateMasterPassword());
+
+        // Authority layout: the sponsor's template, or one the request picks from the admin's allowed_templates;
+        // checked before anything is staged
+        const sponsorTemplate = UserManager.settingValue(authCheck.user_info, 'authority_template');
+        const authorityTemplate = request.data.authority_template || sponsorTemplate;
+        const allowed = authorityTemplate === sponsorTemplate ||
+            UserManager.settingValue(authCheck.user_info, 'allowed_templates').includes(authorityTemplate);
+        const template = allowed
+            ? await this.authorityTemplates.resolve(authorityTemplate, keys, { sponsor: request.requester, username })
+            : { success: false, error: `not allowed for @${request.requester} (admin setting allowed_templates)` };
+        if (!template.success) {
+            this.ledger.record(txId, STATES.REJECTED, { reason: `Invalid authority template "${authorityTemplate}": ${template.error}` });
+            console.log(`❌ Authority template "${authorityTemplate}" rejected: ${template.error}`);
+            console.log('🚫 REQUEST REJECTED - No token deducted');
+            console.log('=' .repeat(60));
+            console.log('');
+            return;
+        }
+        if (authorityTemplate !== 'default') console.log(`🔏 Using authority template "${authorityTemplate}"`);
+
+        // Stage credentials (encrypted) BEFORE broadcasting so a crash mid-request can be resumed
+        this.recovery.addPending({
+            username,
+            created_at: new Date().toISOString(),
+            requester: request.requester,
+            masterPassword: keys.masterPassword,
+            ownerKey: keys.ownerKey,
+            activeKey: keys.activeKey,
+            postingKey: keys.postingKey,
+            memoKey: keys.memoKey,
+            transactionId: null,
+            requestTransactionId: txId,
+            deliveryMethod: request.data.delivery_method,
+            notes: request.data.notes || null,
+            authorityTemplate,
+            creationFee,
+            stage: 'creating'
+        });
+
+        const accountData = await this.createStagedAccount(this.recovery.getPending(username));
+        if (!accountData) return;
+
+        // Avoid optional chaining for older Node versions
+        const requesterEmail = (authCheck.user_info && authCheck.user_info.email)
+            ? authCheck.user_info.email
+            : null;
+
+        await this.deliverAndComplete(accountData, requesterEmail);
+    }
+
+    /**
+     * Broadcast the account for a staged recovery record (stage 'creating').
+     * Returns the record moved to stage 'created', or null if creation failed.
+     */
+    async createStagedAccount(record) {
+        const txId = record.requestTransactionId;
+        const keys = this.generateAccountKeys(record.username, record.masterPassword);
+
+        let accountCreationResult = await this.createHiveAccount(
+            record.username,
             keys,
             this.creatingAccount,
-            this.creatingActiveKey
+            this.creatingActiveKey,
+            { fee: record.creationFee, authorityTemplate: record.authorityTemplate, sponsor: record.requester }
         );
 
+        if (accountCreationResult.ambiguous) {
+            // The broadcast may have reached the chain - the record stays at 'creating' until it is known
+            console.log(`⚠️  Broadcast outcome unknown (${accountCreationResult.error}) - checking the chain`);
+            let outcome;
+            try {
+                outcome = await this.awaitStagedAccount(record);
+            } catch (error) {
+                console.log(`🚨 Could not check @${record.username} on chain (${error.message}) - left staged for the next start`);
+                console.log('=' .repeat(60));
+                console.log('');
+                return null;
+            }
+
+            if (outcome === 'ours') {
+                console.log(`✅ @${record.username} is on chain with our owner key - adopting it`);
+                accountCreationResult = { success: true, transactionId: null, username: record.username, confirmedOnChain: true };
+            } else if (outcome === 'taken') {
+                accountCreationResult = { ...accountCreationResult, error: `Username @${record.username} is already taken` };
+            }
+        }
+
         if (!accountCreationResult.success) {
+            this.recovery.removePending(record.username);
+            this.ledger.record(txId, STATES.REJECTED, { reason: `Account creation failed: ${accountCreationResult.error}` });
             console.log('❌ ACCOUNT CREATION FAILED');
             console.log(`   Error: ${accountCreationResult.error}`);
             console.log('🚫 REQUEST REJECTED - No token deducted');
             console.log('=' .repeat(60));
             console.log('');
-            return;
+            return null;
         }
 
+        if (!accountCreationResult.simulated && !record.creationFee) this.acts.used();
+        const created = await this.completeCreation(record, keys, accountCreationResult.transactionId,
+            accountCreationResult.confirmedOnChain ? { confirmed_on_chain: true } : {});
         console.log('✅ Account created successfully on blockchain');
         console.log(`   👤 Username: ${accountCreationResult.username}`);
-    console.log(`   🔗 Transaction: ${accountCreationResult.transactionId}`);
+        console.log(`   🔗 Transaction: ${accountCreationResult.transactionId || 'unknown (confirmed on chain)'}`);
         console.log('');
 
-        // Create account data object for delivery
-        const accountData = {
-            username: request.data.requested_username,
-            masterPassword: masterPassword,
-            ownerKey: keys.ownerKey,
-            activeKey: keys.activeKey,
-            postingKey: keys.postingKey,
-            memoKey: keys.memoKey,
-            transactionId: accountCreationResult.transactionId,
-            requester: request.requester
-        };
+        return created;
+    }
 
-        // Persist credentials to recovery store BEFORE attempting delivery
-        this.addPending({
-            username: accountData.username,
-            created_at: new Date().toISOString(),
-            requester: accountData.requester,
-            masterPassword: accountData.masterPassword,
-            ownerKey: accountData.ownerKey,
-            activeKey: accountData.activeKey,
-            postingKey: accountData.postingKey,
-            memoKey: accountData.memoKey,
-            transactionId: accountData.transactionId
+    /**
+     * Post-creation steps for an account that is on chain: mark the record created,
+     * delegate starter HP, run the sponsor's onboarding and record ACCOUNT_CREATED
+     */
+    async completeCreation(record, keys, transactionId, details = {}) {
+        const txId = record.requestTransactionId;
+        this.recovery.updatePending(record.username, { stage: 'created', transactionId });
+
+        // Optional starter HP (DELEGATION_ENABLED); a failed delegation never fails the request
+        const delegation = await this.delegations.delegateTo(record.username, {
+            requester: record.requester,
+            requestTransactionId: txId
+        });
+
+        // Sponsor's onboarding steps, signed with the new account's keys before they are handed over
+        const onboarding = await this.onboarding.run(record.username, keys, {
+            requester: record.requester,
+            notes: record.notes
+        });
+
+        this.ledger.record(txId, STATES.ACCOUNT_CREATED, {
+            create_tx: transactionId,
+            // Paid creations record the fee; PaidCreation sums these for the daily limit
+            ...(record.creationFee ? { creation_method: 'account_create', fee_paid: record.creationFee } : {}),
+            ...(record.authorityTemplate && record.authorityTemplate !== 'default' ? { authority_template: record.authorityTemplate } : {}),
+            ...(delegation ? { delegation_tx: delegation.transactionId, delegated_vests: delegation.vests } : {}),
+            ...(onboarding.length ? { onboarding } : {}),
+            ...details
         });
 
-        // Step 3: Credential delivery
-        const deliveryMethod = request.data.delivery_method;
+        return { ...record, stage: 'created', transactionId };
+    }
+
+    /**
+     * Who holds the staged username on chain: 'ours' (our owner key), 'taken' (someone else) or null
+     */
+    async findStagedAccount(record) {
+        const [account] = await this.client.database.getAccounts([record.username]);
+        if (!account) return null;
+
+        const ownerPublic = PrivateKey.fromString(record.ownerKey).createPublic().toString();
+        return account.owner.key_auths.some(([key]) => key === ownerPublic) ? 'ours' : 'taken';
+    }
+
+    /**
+     * After an ambiguous broadcast, wait until the account shows up or the transaction has expired
+     */
+    async awaitStagedAccount(record) {
+        const deadline = Date.now() + this.client.broadcast.expireTime;
+        for (;;) {
+            const outcome = await this.findStagedAccount(record);
+            if (outcome || Date.now() >= deadline) return outcome;
+            await this.sleep(3000);
+        }
+    }
+
+    /**
+     * Step 3: first delivery attempt for a created account; failures are handed to the retry loop
+     */
+    async deliverAndComplete(accountData, requesterEmail) {
+        const deliveryMethod = accountData.deliveryMethod;
         console.log('📧 STEP 3: Delivering credentials...');
-        console.log(`   � Requested: ${deliveryMethod}`);
+        console.log(`   📬 Requested: ${deliveryMethod}`);
 
+        const delivery = await this.deliverCredentials(accountData, deliveryMethod, requesterEmail);
+
+        if (delivery.success) {
+            await this.completeDelivery(accountData, accountData.requestTransactionId, delivery.details);
+            console.log('🎉 ACCOUNT CREATION FLOW COMPLETE');
+        } else {
+            // Counts as attempt #1; the retry loop takes it from here with backoff
+            await this.retrier.recordFailure(this.recovery.getPending(accountData.username), delivery.reason, delivery.details);
+            console.log('🚨 DELIVERY FAILED – credentials retained in recovery store, automatic retry scheduled');
+        }
+
+        console.log('='.repeat(60));
+        console.log('');
+    }
+
+    /**
+     * Deliver credentials by email, memo or both (shared by new requests and recovery retries)
+     */
+    async deliverCredentials(accountData, deliveryMethod, requesterEmail) {
         let emailResult = { success: false };
         let memoResult = { success: false };
-        // Avoid optional chaining for older Node versions
-        const requesterEmail = (authCheck.user_info && authCheck.user_info.email)
-            ? authCheck.user_info.email
-            : null;
+
+        // Only hand out credentials that actually control the account
+        const verification = await this.verifyAccountKeys(accountData);
+        if (!verification.success) {
+            console.log(`❌ Key verification failed: ${verification.error}`);
+            return {
+                success: false,
+                details: { email_delivered: false, memo_delivered: false, transfer_tx: null, keys_verified: false },
+                reason: `Key verification failed: ${verification.error}`
+            };
+        }
+        console.log('🔑 Keys verified against on-chain authorities');
 
         // EMAIL
         if (deliveryMethod === 'email' || deliveryMethod === 'both') {
@@ -409,7 +737,7 @@ class BlockchainMonitor {
                 console.log('⚠️  Missing faucet memo private key');
                 memoResult = { success: false, error: 'Missing faucet memo key' };
             } else {
-                memoResult = await this.sendAccountMemo(request.requester, accountData);
+                memoResult = await this.sendAccountMemo(accountData.requester, accountData);
             }
         } else {
             console.log('📝 Memo not requested');
@@ -423,24 +751,43 @@ class BlockchainMonitor {
         console.log(`   📧 Email: ${emailResult.success ? '✅' : '❌'}${emailResult.error ? ' (' + emailResult.error + ')' : ''}`);
         console.log(`   📝 Memo: ${memoResult.success ? '✅' : '❌'}${memoResult.error ? ' (' + memoResult.error + ')' : ''}`);
 
-        if (overallSuccess) {
-            console.log('✅ Delivery success criteria met');
-            console.log('🎫 STEP 4: Deducting token...');
-            const tokenUsed = this.userManager.useToken(request.requester);
-            if (tokenUsed) {
-                console.log('✅ Token deducted');
-            } else {
-                console.log('⚠️  Token deduction failed');
-            }
-            // Remove from recovery store only after at least one successful delivery path (or both if required)
-            this.removePending(accountData.username);
-            console.log('🎉 ACCOUNT CREATION FLOW COMPLETE');
+        return {
+            success: overallSuccess,
+            details: {
+                email_delivered: !!emailResult.success,
+                memo_delivered: !!memoResult.success,
+                transfer_tx: memoResult.transactionId || null
+            },
+            reason: overallSuccess
+                ? null
+                : ([emailResult.error || emailResult.reason, memoResult.error].filter(Boolean).join('; ') || 'Delivery failed')
+        };
+    }
+
+    /**
+     * Finalize a delivered account: deduct the sponsor token, record it and purge the recovery record
+     */
+    async completeDelivery(accountData, requestTxId, details = {}) {
+        console.log('✅ Delivery success criteria met');
+        // Mark delivered first: after a crash the resumer finishes the bookkeeping instead of re-sending
+        this.recovery.updatePending(accountData.username, { stage: 'delivered', delivery_details: details });
+
+        console.log('🎫 STEP 4: Deducting token...');
+        const tokenUsed = this.dryRun ? false : await this.userManager.useToken(accountData.requester);
+        if (this.dryRun) {
+            console.log('🧪 DRY RUN - token not deducted');
+        } else if (tokenUsed) {
+            console.log('✅ Token deducted');
         } else {
-            console.log('🚨 DELIVERY FAILED – credentials retained in recovery store for manual retrieval');
+            console.log('⚠️  Token deduction failed');
         }
 
-        console.log('='.repeat(60));
-        console.log('');
+        if (requestTxId) {
+            this.ledger.record(requestTxId, STATES.DELIVERED, { ...details, token_deducted: tokenUsed });
+        }
+        // Remove from recovery store only after at least one successful delivery path (or both if required)
+        this.recovery.removePending(accountData.username);
+        return tokenUsed;
     }
 
     /**
@@ -458,6 +805,7 @@ class BlockchainMonitor {
                 hive.api.getAccounts([recipientUsername], (err, result) => {
                     if (err) {
                         console.error('❌ Error fetching recipient account:', err);
+                        this.nodePool.reportFailure(err);
                         resolve({ success: false, error: err.message });
                         return;
                     }
@@ -492,6 +840,12 @@ class BlockchainMonitor {
                         
                         console.log(`   ✅ Memo properly encrypted (no plain text visible)`);
 
+                        if (this.dryRun) {
+                            console.log(`   🧪 DRY RUN - memo transfer to @${recipientUsername} not broadcast`);
+                            resolve({ success: true, method: 'memo', transactionId: this.simulatedTransactionId(), simulated: true });
+                            return;
+                        }
+
                         // Send via transfer using hive-js
                         hive.broadcast.transfer(
                             this.creatingActiveKey, // Sign with active key
@@ -565,26 +919,60 @@ class BlockchainMonitor {
     }
 
     /**
-     * Generate secure master password for Hive account (real format)
+     * Generate a master password the way Hive wallets do: "P" + WIF of a fresh random private key
      */
     generateMasterPassword() {
-        // Hive uses Base58 characters (no 0, O, I, l to avoid confusion)
-        const base58Chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-        
-        // Generate cryptographically secure random bytes
-        const crypto = require('crypto');
-        const randomBytes = crypto.randomBytes(32); // 256 bits of entropy
-        
-        // Convert to Base58-like format
-        let password = 'P5'; // Hive convention prefix
-        
-        // Generate 50 more characters from the random bytes
-        for (let i = 0; i < 50; i++) {
-            const randomIndex = randomBytes[i % randomBytes.length] % base58Chars.length;
-            password += base58Chars[randomIndex];
+        let key = null;
+        while (!key) {
+            try {
+                key = new PrivateKey(crypto.randomBytes(32));
+            } catch {
+                // 32 random bytes outside the secp256k1 range (~1 in 2^128) - draw again
+            }
         }
-        
-        return password;
+        return `P${key.toString()}`;
+    }
+
+    /**
+     * Re-derive the keys from the master password and check them against the account's
+     * on-chain authorities, so we never deliver credentials that don't control the account
+     */
+    async verifyAccountKeys(accountData) {
+        const username = accountData.username;
+        const keys = this.generateAccountKeys(username, accountData.masterPassword);
+
+        const mismatched = KEY_ROLES.filter(role => accountData[`${role}Key`] && accountData[`${role}Key`] !== keys[`${role}Key`]);
+        if (mismatched.length > 0) {
+            return { success: false, error: `Stored ${mismatched.join('/')} key does not match the master password` };
+        }
+
+        // Nothing was broadcast in a dry run
+        if (this.dryRun) return { success: true, simulated: true };
+
+        let account;
+        try {
+            [account] = await this.client.database.getAccounts([username]);
+        } catch (error) {
+            return { success: false, error: `Could not load @${username} to verify keys: ${error.message}` };
+        }
+        if (!account) {
+            return { success: false, error: `@${username} not found on chain` };
+        }
+
+        // The authorities must be exactly what the account's template broadcast
+        let expected;
+        try {
+            expected = this.authorityTemplates.build(accountData.authorityTemplate || 'default', keys, { sponsor: accountData.requester });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        const failed = ['owner', 'active', 'posting'].filter(role => !AuthorityTemplates.sameAuthority(account[role], expected[role]));
+        if (String(account.memo_key) !== keys.memoPublic) failed.push('memo');
+
+        if (failed.length > 0) {
+            return { success: false, error: `Derived ${failed.join('/')} key does not match @${username} on chain` };
+        }
+        return { success: true };
     }
 
     /**
@@ -602,8 +990,10 @@ class BlockchainMonitor {
 
     /**
      * Create actual Hive account using Account Creation Tokens
+     * (or, with options.fee, a paid account_create burning that fee)
      */
-    async createHiveAccount(username, keys, creatorAccount, creatorActiveKey) {
+    async createHiveAccount(username, keys, creatorAccount, creatorActiveKey, options = {}) {
+        let broadcasting = false;
         try {
             console.log(`🔨 Creating account @${username} on Hive blockchain...`);
             
@@ -614,41 +1004,42 @@ class BlockchainMonitor {
             }
             console.log(`✅ Username @${username} is available`);
 
-            // Create the account creation operation using ACTs
-            const accountCreateOp = [
-                'create_claimed_account',
-                {
-                    creator: creatorAccount,
-                    new_account_name: username,
-                    owner: {
-                        weight_threshold: 1,
-                        account_auths: [],
-                        key_auths: [[keys.ownerPublic, 1]]
-                    },
-                    active: {
-                        weight_threshold: 1,
-                        account_auths: [],
-                        key_auths: [[keys.activePublic, 1]]
-                    },
-                    posting: {
-                        weight_threshold: 1,
-                        account_auths: [],
-                        key_auths: [[keys.postingPublic, 1]]
-                    },
-                    memo_key: keys.memoPublic,
-                    json_metadata: JSON.stringify({
-                        profile: {
-                            name: username,
-                            about: `Account created by ${creatorAccount}`,
-                            created: new Date().toISOString()
-                        }
-                    }),
-                    extensions: []
-                }
-            ];
+            const authorities = this.authorityTemplates.build(options.authorityTemplate || 'default', keys, { sponsor: options.sponsor });
+            const accountFields = {
+                creator: creatorAccount,
+                new_account_name: username,
+                owner: authorities.owner,
+                active: authorities.active,
+                posting: authorities.posting,
+                memo_key: keys.memoPublic,
+                json_metadata: JSON.stringify({
+                    profile: {
+                        name: username,
+                        about: `Account created by ${creatorAccount}`,
+                        created: new Date().toISOString()
+                    }
+                })
+            };
+
+            // Create the account creation operation using ACTs, or pay the fee when given one
+            const accountCreateOp = options.fee
+                ? ['account_create', { fee: options.fee, ...accountFields }]
+                : ['create_claimed_account', { ...accountFields, extensions: [] }];
+            if (options.fee) console.log(`💸 Paying ${options.fee} account creation fee`);
+
+            if (this.dryRun) {
+                console.log(`🧪 DRY RUN - ${accountCreateOp[0]} for @${username} built but not broadcast`);
+                return {
+                    success: true,
+                    transactionId: this.simulatedTransactionId(),
+                    username: username,
+                    simulated: true
+                };
+            }
 
             // Sign and broadcast the transaction
             const privateKey = PrivateKey.fromString(creatorActiveKey);
+            broadcasting = true;
             const result = await this.client.broadcast.sendOperations([accountCreateOp], privateKey);
             
             console.log(`✅ Account @${username} created successfully!`);
@@ -665,7 +1056,8 @@ class BlockchainMonitor {
             return { 
                 success: false, 
                 error: error.message,
-                username: username 
+                username: username,
+                ambiguous: broadcasting && isAmbiguousBroadcastError(error)
             };
         }
     }
@@ -696,6 +1088,13 @@ class BlockchainMonitor {
         };
     }
 
+    /**
+     * Fake transaction id for dry-run broadcasts
+     */
+    simulatedTransactionId() {
+        return `dry-run-${crypto.randomBytes(16).toString('hex')}`;
+    }
+
     /**
      * Generate mock account data for testing (now with real key derivation)
      */
@@ -723,6 +1122,10 @@ class BlockchainMonitor {
      */
     stop() {
         console.log('🛑 Stopping blockchain monitor...');
+        this.retrier.stop();
+        this.acts.stop();
+        this.delegations.stop();
+        this.nodePool.stop();
     // Force save current block height for resume
     this.saveLastBlock(true);
         this.isRunning = false;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'hive-account-faucet/recovery/v1';
+
+/**
+ * AES-256-GCM encryption for credentials kept on disk.
+ * The key is derived (scrypt) from ENCRYPTION_SECRET, falling back to the
+ * faucet's private memo key so existing deployments get encryption without
+ * new configuration. Changing either value makes old records unreadable.
+ */
+class CredentialCipher {
+    constructor(secret) {
+        this.key = secret ? crypto.scryptSync(String(secret), KEY_SALT, 32) : null;
+    }
+
+    static fromEnv() {
+        const secret = process.env.ENCRYPTION_SECRET || process.env.CREATING_ACCOUNT_MEMO_KEY;
+        const placeholder = !secret || secret === 'your_memo_key_here' || /^5X+$/.test(secret);
+        return new CredentialCipher(placeholder ? null : secret);
+    }
+
+    get isConfigured() {
+        return !!this.key;
+    }
+
+    encrypt(value) {
+        if (!this.key) throw new Error('Encryption key not configured (set ENCRYPTION_SECRET)');
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            v: 1,
+            alg: ALGORITHM,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(blob) {
+        if (!this.key) throw new Error('Encryption key not configured (set ENCRYPTION_SECRET)');
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(blob.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+        return JSON.parse(plain.toString('utf8'));
+    }
+}
+
+/**
+ * Mask private keys (WIF "5...") and master passwords ("P5...") in free text before logging
+ */
+function redactCredentials(text) {
+    return String(text)
+        .replace(/\bP5[1-9A-HJ-NP-Za-km-z]{20,}/g, 'P5***[redacted]')
+        .replace(/\b5[HJK][1-9A-HJ-NP-Za-km-z]{48,49}\b/g, '5***[redacted]');
+}
+
+module.exports = { CredentialCipher, redactCredentials };
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { PrivateKey } = require('@hiveio/dhive');
+const { dataFileName } = require('./dry-run');
+
+// The chain refuses delegations below this many account creation fees (in VESTS)
+const MIN_DELEGATION_FEES = 10;
+
+function formatVests(vests) {
+    return `${Number(vests).toFixed(6)} VESTS`;
+}
+
+/**
+ * "3.000 HIVE" / "1.000000 VESTS" -> 3 / 1
+ */
+function parseAmount(asset) {
+    return parseFloat(String(asset || '0').split(' ')[0]) || 0;
+}
+
+/**
+ * Starter Hive Power for new accounts (DELEGATION_ENABLED).
+ * Right after an account is created the faucet delegates DELEGATION_VESTS to it
+ * (never less than the chain minimum, which is also the default), and every
+ * DELEGATION_CHECK_INTERVAL seconds review() takes the delegation back once it is
+ * DELEGATION_DAYS old or the account owns DELEGATION_OWN_VESTS itself.
+ * Every delegation is tracked in data/delegations.json (active and removed).
+ */
+class DelegationManager {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.enabled = options.enabled !== undefined ? options.enabled : /^(1|true|yes)$/i.test(process.env.DELEGATION_ENABLED || '');
+        this.vests = options.vests || parseFloat(process.env.DELEGATION_VESTS) || null; // null: chain minimum
+        this.days = options.days || parseFloat(process.env.DELEGATION_DAYS) || 30;
+        this.ownVests = options.ownVests || parseFloat(process.env.DELEGATION_OWN_VESTS) || null; // null: the delegated amount
+        this.interval = (options.interval || parseInt(process.env.DELEGATION_CHECK_INTERVAL) || 3600) * 1000;
+        this.delegationsFile = options.delegationsFile || path.join(monitor.dataDir, dataFileName('delegations.json'));
+        this.timer = null;
+        this.reviewing = null;
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.timer = setInterval(() => this.review(), this.interval);
+        if (this.timer.unref) this.timer.unref();
+        const amount = this.vests ? formatVests(this.vests) : 'the chain minimum';
+        const own = this.ownVests ? formatVests(this.ownVests) : 'the delegated amount';
+        console.log(`🤝 Delegating ${amount} to new accounts (returned after ${this.days} days or at ${own} own)`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.delegationsFile, 'utf8')).delegations || [];
+        } catch {
+            return [];
+        }
+    }
+
+    save(list) {
+        try {
+            fs.mkdirSync(path.dirname(this.delegationsFile), { recursive: true });
+            const tmp = this.delegationsFile + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify({ delegations: list }, null, 2));
+            fs.renameSync(tmp, this.delegationsFile);
+        } catch (e) {
+            console.warn('⚠️  Could not save delegations:', e.message);
+        }
+    }
+
+    update(account, changes) {
+        const list = this.load();
+        const delegation = list.find(d => d.account === account && d.status === 'active');
+        if (!delegation) return null;
+        Object.assign(delegation, changes);
+        this.save(list);
+        return delegation;
+    }
+
+    getActive() {
+        return this.load().filter(d => d.status === 'active');
+    }
+
+    /**
+     * Set the faucet's delegation to `account` (0 removes it)
+     */
+    async broadcastDelegation(account, vests) {
+        if (this.monitor.dryRun) {
+            console.log(`   🧪 DRY RUN - delegation of ${formatVests(vests)} to @${account} not broadcast`);
+            return this.monitor.simulatedTransactionId();
+        }
+
+        const result = await this.monitor.client.broadcast.sendOperations([[
+            'delegate_vesting_shares',
+            {
+                delegator: this.monitor.creatingAccount,
+                delegatee: account,
+                vesting_shares: formatVests(vests)
+            }
+        ]], PrivateKey.fromString(this.monitor.creatingActiveKey));
+        return result.id;
+    }
+
+    /**
+     * Smallest delegation the chain accepts: MIN_DELEGATION_FEES account creation fees,
+     * converted to VESTS at the current vesting share price
+     */
+    async minimumVests() {
+        const { database } = this.monitor.client;
+        const [chainProps, globalProps] = await Promise.all([
+            database.getChainProperties(),
+            database.getDynamicGlobalProperties()
+        ]);
+        const vestsPerHive = parseAmount(globalProps.total_vesting_shares) / parseAmount(globalProps.total_vesting_fund_hive);
+        if (!Number.isFinite(vestsPerHive) || vestsPerHive <= 0) {
+            throw new Error('Could not read the vesting share price');
+        }
+        // Round up to the VESTS precision so the chain never sees a hair under the minimum
+        return Math.ceil(parseAmount(chainProps.account_creation_fee) * MIN_DELEGATION_FEES * vestsPerHive * 1e6) / 1e6;
+    }
+
+    /**
+     * DELEGATION_VESTS, raised to the chain minimum when it is unset or too small
+     */
+    async delegationAmount() {
+        const minimum = await this.minimumVests();
+        if (!this.vests) return minimum;
+        if (this.vests < minimum) {
+            console.warn(`⚠️  DELEGATION_VESTS ${formatVests(this.vests)} is below the chain minimum of ${formatVests(minimum)} - delegating the minimum`);
+            return minimum;
+        }
+        return this.vests;
+    }
+
+    /**
+     * Optional step after account creation; never fails the request (the operator is alerted instead).
+     * Returns { transactionId, vests } or null when disabled / failed.
+     */
+    async delegateTo(account, details = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            const vests = await this.delegationAmount();
+            console.log(`🤝 Delegating ${formatVests(vests)} to @${account}...`);
+            const transactionId = await this.broadcastDelegation(account, vests);
+            const list = this.load();
+            list.push({
+                account,
+                vests,
+                status: 'active',
+                delegated_at: new Date().toISOString(),
+                transactionId,
+                requester: details.requester || null,
+                requestTransactionId: details.requestTransactionId || null,
+                simulated: this.monitor.dryRun || undefined
+            });
+            this.save(list);
+            console.log(`✅ Delegation sent (TX ${transactionId})`);
+            return { transactionId, vests };
+        } catch (error) {
+            console.warn(`⚠️  Delegation to @${account} failed: ${error.message}`);
+            await this.alertOperator(account, details, error.message);
+            return null;
+        }
+    }
+
+    async alertOperator(account, details, reason) {
+        const subject = `Faucet delegation to @${account} failed`;
+        const text = [
+            `Starter HP could not be delegated to @${account}${details.requester ? ` (sponsor @${details.requester})` : ''}.`,
+            `Error: ${reason}`,
+            '',
+            'The account was created and its request continues without the delegation.',
+            'Check the faucet\'s HP and DELEGATION_VESTS; delegate by hand if the account needs the RC.'
+        ].join('\n');
+
+        try {
+            await this.monitor.emailService.sendOperatorAlert(subject, text);
+        } catch (error) {
+            console.warn('⚠️  Could not send delegation alert:', error.message);
+        }
+    }
+
+    /**
+     * Take back delegations that expired or whose account now has its own HP (one review at a time)
+     */
+    review() {
+        if (!this.reviewing) {
+            this.reviewing = this.runReview().finally(() => { this.reviewing = null; });
+        }
+        return this.reviewing;
+    }
+
+    async runReview() {
+        const active = this.getActive();
+        if (active.length === 0) return [];
+
+        let accounts;
+        try {
+            accounts = await this.monitor.client.database.getAccounts(active.map(d => d.account));
+        } catch (error) {
+            console.warn('⚠️  Delegation review failed:', error.message);
+            this.monitor.nodePool.reportFailure(error);
+            return [];
+        }
+        const ownVests = new Map(accounts.map(account => [account.name, parseAmount(account.vesting_shares)]));
+
+        const maxAge = this.days * 24 * 60 * 60 * 1000;
+        const removed = [];
+        for (const delegation of active) {
+            let reason = null;
+            if (Date.now() - Date.parse(delegation.delegated_at) >= maxAge) {
+                reason = 'expired';
+            } else if ((ownVests.get(delegation.account) || 0) >= (this.ownVests || delegation.vests)) {
+                reason = 'own_hp';
+            }
+            if (!reason) continue;
+
+            try {
+                const transactionId = await this.broadcastDelegation(delegation.account, 0);
+                this.update(delegation.account, {
+                    status: 'removed',
+                    removed_at: new Date().toISOString(),
+                    removal_reason: reason,
+                    removal_transactionId: transactionId
+                });
+                console.log(`🤝 Delegation to @${delegation.account} returned (${reason === 'expired' ? `${this.days} days passed` : 'account has its own HP'})`);
+                removed.push({ account: delegation.account, reason });
+            } catch (error) {
+                this.update(delegation.account, { last_error: error.message });
+                console.warn(`⚠️  Could not remove delegation to @${delegation.account}: ${error.message}`);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Delegation totals for the admin report and /status
+     */
+    getReport() {
+        const list = this.load();
+        const active = list.filter(d => d.status === 'active');
+        const removed = list.filter(d => d.status === 'removed');
+        const byReason = {};
+        for (const delegation of removed) {
+            byReason[delegation.removal_reason] = (byReason[delegation.removal_reason] || 0) + 1;
+        }
+
+        return {
+            enabled: this.enabled,
+            vests_per_account: this.vests ? formatVests(this.vests) : 'chain minimum',
+            active_count: active.length,
+            active_vests: formatVests(active.reduce((sum, d) => sum + d.vests, 0)),
+            removed_count: removed.length,
+            removed_by_reason: byReason,
+            total_delegated: list.length
+        };
+    }
+}
+
+DelegationManager.parseVests = parseAmount;
+DelegationManager.formatVests = formatVests;
+
+module.exports = DelegationManager;
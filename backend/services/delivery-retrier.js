@@ -0,0 +1,143 @@
+const RequestLedger = require('./request-ledger');
+
+const { STATES } = RequestLedger;
+
+/**
+ * Background retry of failed credential deliveries.
+ * Walks the recovery queue every DELIVERY_RETRY_INTERVAL seconds and re-attempts
+ * records whose backoff has elapsed (base delay doubling per attempt). After
+ * DELIVERY_RETRY_MAX_ATTEMPTS the record is marked gave_up, kept for manual
+ * recovery and the operator is alerted.
+ */
+class DeliveryRetrier {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.interval = (options.interval || parseInt(process.env.DELIVERY_RETRY_INTERVAL) || 300) * 1000;
+        this.baseDelay = (options.baseDelay || parseInt(process.env.DELIVERY_RETRY_BASE_DELAY) || 60) * 1000;
+        this.maxDelay = 24 * 60 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.DELIVERY_RETRY_MAX_ATTEMPTS) || 6;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), this.interval);
+        if (this.timer.unref) this.timer.unref();
+        console.log(`🔁 Delivery retry loop every ${this.interval / 1000}s (max ${this.maxAttempts} attempts)`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Delay before the next attempt after `attempts` failures
+     */
+    backoff(attempts) {
+        return Math.min(this.baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), this.maxDelay);
+    }
+
+    /**
+     * Book-keep a failed attempt on the recovery record; gives up after maxAttempts
+     */
+    async recordFailure(record, reason, details = {}) {
+        const attempts = (record.delivery_attempts || 0) + 1;
+        const now = Date.now();
+        const gaveUp = attempts >= this.maxAttempts;
+
+        const updated = this.monitor.recovery.updatePending(record.username, {
+            delivery_attempts: attempts,
+            last_attempt_at: new Date(now).toISOString(),
+            last_error: reason,
+            next_attempt_at: gaveUp ? null : new Date(now + this.backoff(attempts)).toISOString(),
+            gave_up: gaveUp
+        });
+
+        if (record.requestTransactionId) {
+            this.monitor.ledger.record(record.requestTransactionId, STATES.DELIVERY_FAILED, {
+                ...details,
+                attempt: attempts,
+                reason: gaveUp ? `Gave up after ${attempts} attempts: ${reason}` : reason
+            });
+        }
+
+        if (gaveUp) {
+            await this.alertOperator(record, attempts, reason);
+        }
+        return updated;
+    }
+
+    async alertOperator(record, attempts, reason) {
+        const subject = `Faucet delivery gave up for @${record.username}`;
+        const text = [
+            `Credential delivery for @${record.username} (sponsor @${record.requester}) failed ${attempts} times.`,
+            `Last error: ${reason}`,
+            '',
+            'The credentials remain in the recovery queue. Use:',
+            `  node admin.js retry-delivery ${record.username} [email|memo|both]`,
+            `  node admin.js export-pending ${record.username}`
+        ].join('\n');
+
+        console.error(`🚨 ${subject} - ${reason}`);
+        await this.monitor.emailService.sendOperatorAlert(subject, text);
+    }
+
+    /**
+     * Records that are due for another attempt. Only records with a recorded
+     * failure qualify - in-flight and half-finished requests belong to the
+     * monitor and the startup resumer.
+     */
+    dueRecords(now = Date.now()) {
+        return this.monitor.recovery.loadPending().filter(record =>
+            (!record.stage || record.stage === 'created') &&
+            record.delivery_attempts > 0 &&
+            !record.gave_up &&
+            (!record.next_attempt_at || new Date(record.next_attempt_at).getTime() <= now)
+        );
+    }
+
+    /**
+     * One pass over the recovery queue (skipped if a pass is still running)
+     */
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            for (const sealed of this.dueRecords()) {
+                let record;
+                try {
+                    record = this.monitor.recovery.unseal(sealed);
+                } catch (error) {
+                    console.error(`❌ Cannot decrypt recovery record for @${sealed.username}: ${error.message}`);
+                    continue;
+                }
+
+                const method = record.deliveryMethod || 'hive_memo';
+                console.log(`🔁 Retrying ${method} delivery for @${record.username} (attempt ${(record.delivery_attempts || 0) + 1}/${this.maxAttempts})`);
+
+                const sponsor = await this.monitor.userManager.getUser(record.requester);
+                const delivery = await this.monitor.deliverCredentials(record, method, sponsor ? sponsor.email : null);
+
+                if (delivery.success) {
+                    // Token is deducted here, once, and the record is purged
+                    await this.monitor.completeDelivery(record, record.requestTransactionId, {
+                        ...delivery.details,
+                        attempt: (record.delivery_attempts || 0) + 1
+                    });
+                    console.log(`✅ Retry delivered credentials for @${record.username}`);
+                } else {
+                    await this.recordFailure(record, delivery.reason, delivery.details);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Delivery retry pass failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = DeliveryRetrier;
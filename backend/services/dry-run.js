@@ -0,0 +1,20 @@
+/**
+ * FAUCET_DRY_RUN: run the whole request pipeline (authorization, key generation,
+ * delivery formatting) without broadcasting, sending email or deducting tokens.
+ * Dry runs keep their own ledger, recovery queue and block checkpoint so they
+ * never mark real requests as processed.
+ */
+function isDryRun() {
+    return /^(1|true|yes)$/i.test(process.env.FAUCET_DRY_RUN || '');
+}
+
+/**
+ * Data file name for the current mode: request_ledger.jsonl -> request_ledger.dry-run.jsonl
+ */
+function dataFileName(name) {
+    if (!isDryRun()) return name;
+    const dot = name.lastIndexOf('.');
+    return `${name.substring(0, dot)}.dry-run${name.substring(dot)}`;
+}
+
+module.exports = { isDryRun, dataFileName };
@@ -1,15 +1,27 @@
 const nodemailer = require('nodemailer');
+const { redactCredentials } = require('./credential-cipher');
 
 class EmailService {
-    constructor() {
+    /**
+     * options.sink: capture messages in `sentMessages` instead of sending (dry-run mode)
+     */
+    constructor(options = {}) {
         this.transporter = null;
         this.isConfigured = false;
+        this.sink = !!options.sink;
+        this.sentMessages = [];
+        this.capturedCount = 0; // ids stay unique after the sink is trimmed
         this.initializeTransporter();
     }
 
     initializeTransporter() {
+        if (this.sink) {
+            console.log('🧪 Email sink enabled - messages are captured, not sent');
+            return;
+        }
+
         if (!process.env.EMAIL_USER || !process.env.EMAIL_APP_PASSWORD) {
-            console.log('⚠️  Email service not configured - credentials will only be logged');
+            console.log('⚠️  Email service not configured - credentials stay in the recovery queue');
             return;
         }
 
@@ -56,23 +68,70 @@ Contact: @meno on Hive
         };
 
         try {
-            if (this.isConfigured) {
+            if (this.sink) {
+                return this.capture(mailOptions);
+            } else if (this.isConfigured) {
                 console.log(`📧 Sending credentials to: ${userEmail}`);
                 const result = await this.transporter.sendMail(mailOptions);
                 console.log('✅ Email sent successfully');
                 return { success: true, messageId: result.messageId };
             } else {
-                console.log('⚠️  Email not configured - logging credentials:');
-                console.log(`To: ${userEmail}`);
-                console.log(mailOptions.text);
+                // Never print the keys themselves - they stay (encrypted) in the recovery queue
+                console.log(`⚠️  Email not configured - credentials for @${username} not sent to ${userEmail}`);
                 return { success: false, reason: 'Email not configured' };
             }
         } catch (error) {
-            console.error('❌ Failed to send email:', error);
+            console.error('❌ Failed to send email:', redactCredentials(error.message));
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Notify the operator (OPERATOR_ALERT_EMAIL) about something needing attention
+     */
+    async sendOperatorAlert(subject, text) {
+        const to = process.env.OPERATOR_ALERT_EMAIL;
+        if (this.sink) {
+            return this.capture({ to: to || 'operator', subject: `🚨 ${subject}`, text });
+        }
+        if (!this.isConfigured || !to) {
+            console.log(`⚠️  Operator alert (email not configured): ${subject}`);
+            return { success: false, reason: 'Alert email not configured' };
+        }
+
+        try {
+            await this.transporter.sendMail({
+                from: '"Hive Account Faucet" <do-not-reply@hivefaucet.service>',
+                to,
+                subject: `🚨 ${subject}`,
+                text
+            });
+            console.log(`📧 Operator alert sent to ${to}`);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Failed to send operator alert:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Keep a message in the sink (last 100) and report it as delivered
+     */
+    capture(mailOptions) {
+        const message = {
+            id: `dry-run-${++this.capturedCount}`,
+            to: mailOptions.to,
+            subject: mailOptions.subject,
+            text: mailOptions.text,
+            at: new Date().toISOString()
+        };
+        this.sentMessages.push(message);
+        if (this.sentMessages.length > 100) this.sentMessages.shift();
+
+        console.log(`🧪 DRY RUN - email to ${message.to} captured: ${message.subject}`);
+        return { success: true, messageId: message.id, simulated: true };
+    }
+
     async testConnection() {
         if (!this.isConfigured) {
             return { success: false, message: 'Email service not configured' };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+const RETRY_MS = 25;
+
+/**
+ * Cross-process lock files for data files that admin.js and the server both write.
+ * The lock is a `<file>.lock` created exclusively (wx) holding the owner's pid;
+ * one older than staleAge is left over from a crashed process and taken over.
+ */
+class FileLock {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.lockFile = file + '.lock';
+        this.timeout = options.timeout || 5000; // ms to wait for another writer
+        this.staleAge = options.staleAge || 30000;
+    }
+
+    /**
+     * One attempt: the lock's fd, or null while another process holds it
+     */
+    tryAcquire() {
+        try {
+            const fd = fs.openSync(this.lockFile, 'wx');
+            fs.writeSync(fd, String(process.pid));
+            return fd;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        let stale;
+        try {
+            stale = Date.now() - fs.statSync(this.lockFile).mtimeMs > this.staleAge;
+            if (stale) fs.unlinkSync(this.lockFile);
+        } catch {
+            return null; // lock vanished between open and stat - next attempt takes it
+        }
+        return stale ? this.tryAcquire() : null;
+    }
+
+    timedOut(started) {
+        if (Date.now() - started > this.timeout) {
+            throw new Error(`Timed out waiting for lock on ${path.basename(this.file)}`);
+        }
+    }
+
+    async acquire() {
+        const started = Date.now();
+        for (;;) {
+            const fd = this.tryAcquire();
+            if (fd !== null) return fd;
+            this.timedOut(started);
+            await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+        }
+    }
+
+    /**
+     * Blocking variant for synchronous stores; holders only keep the lock for one small read + write
+     */
+    acquireSync() {
+        const started = Date.now();
+        const pause = new Int32Array(new SharedArrayBuffer(4));
+        for (;;) {
+            const fd = this.tryAcquire();
+            if (fd !== null) return fd;
+            this.timedOut(started);
+            Atomics.wait(pause, 0, 0, RETRY_MS);
+        }
+    }
+
+    release(fd) {
+        try {
+            fs.closeSync(fd);
+            fs.unlinkSync(this.lockFile);
+        } catch (error) {
+            console.warn(`⚠️  Could not release lock on ${path.basename(this.file)}:`, error.message);
+        }
+    }
+}
+
+module.exports = FileLock;
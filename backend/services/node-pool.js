@@ -0,0 +1,190 @@
+const { Client } = require('@hiveio/dhive');
+const hive = require('@hiveio/hive-js');
+
+const DEFAULT_NODES = ['https://api.hive.blog', 'https://api.deathwing.me', 'https://anyx.io'];
+
+// Outcomes kept per node for the rolling error rate
+const OUTCOME_WINDOW = 50;
+
+/**
+ * Configured Hive API node list (HIVE_NODES, comma-separated; HIVE_NODE_URL is tried first)
+ */
+function configuredNodes() {
+    const list = process.env.HIVE_NODES
+        ? process.env.HIVE_NODES.split(',')
+        : [process.env.HIVE_NODE_URL].concat(DEFAULT_NODES);
+    return Array.from(new Set(list.map(url => (url || '').trim()).filter(Boolean)));
+}
+
+/**
+ * RPC errors (bad params, missing authority, ...) are the request's fault, not the node's
+ */
+function isNodeError(error) {
+    return !!error && error.name !== 'RPCError' && !error.payload && !error.jse_info;
+}
+
+/**
+ * Shared pool of Hive API nodes for dhive and hive-js.
+ * Tracks latency, head block lag and a rolling error rate per node,
+ * health-checks every NODE_HEALTH_INTERVAL seconds and moves both
+ * clients to the best healthy node when the current one fails.
+ */
+class NodePool {
+    constructor(options = {}) {
+        this.nodes = options.nodes || configuredNodes();
+        this.healthInterval = (options.healthInterval || parseInt(process.env.NODE_HEALTH_INTERVAL) || 60) * 1000;
+        this.maxLag = options.maxLag || parseInt(process.env.NODE_MAX_LAG) || 20;
+        this.checkTimeout = (options.checkTimeout || parseInt(process.env.NODE_TIMEOUT) || 5) * 1000;
+        this.timer = null;
+
+        this.status = new Map(this.nodes.map(url => [url, {
+            url,
+            healthy: true,
+            latency_ms: null,
+            head_block: null,
+            lag: null,
+            error_rate: 0,
+            last_error: null,
+            last_checked: null,
+            outcomes: []
+        }]));
+
+        this.client = new Client(this.nodes, { failoverThreshold: this.nodes.length });
+        this.instrument(this.client);
+        this.applyHiveJs(this.current);
+    }
+
+    get current() {
+        return this.client.currentAddress;
+    }
+
+    /**
+     * Record every dhive call against the node that served it
+     */
+    instrument(client) {
+        const call = client.call.bind(client);
+        client.call = async (api, method, params) => {
+            const url = client.currentAddress;
+            const started = Date.now();
+            try {
+                const result = await call(api, method, params);
+                this.recordOutcome(client.currentAddress, true, Date.now() - started);
+                // dhive may have failed over internally - keep hive-js on the same node
+                if (client.currentAddress !== url) this.applyHiveJs(client.currentAddress);
+                return result;
+            } catch (error) {
+                if (isNodeError(error)) {
+                    this.reportFailure(error, url);
+                }
+                throw error;
+            }
+        };
+    }
+
+    recordOutcome(url, ok, latency, error) {
+        const node = this.status.get(url);
+        if (!node) return;
+
+        node.outcomes.push(ok);
+        if (node.outcomes.length > OUTCOME_WINDOW) node.outcomes.shift();
+        node.error_rate = node.outcomes.filter(outcome => !outcome).length / node.outcomes.length;
+        if (ok && latency !== undefined) node.latency_ms = latency;
+        if (!ok) node.last_error = error ? error.message : 'unknown error';
+    }
+
+    /**
+     * Count a failure against a node (default: current) and move away from it
+     */
+    reportFailure(error, url = this.current) {
+        this.recordOutcome(url, false, undefined, error);
+        if (url === this.current) this.rotate(`request failed: ${error ? error.message : 'unknown error'}`);
+    }
+
+    /**
+     * Switch both clients to the best other node (healthy first, then lag, latency, error rate)
+     */
+    rotate(reason) {
+        const candidates = Array.from(this.status.values()).filter(node => node.url !== this.current);
+        if (candidates.length === 0) return this.current;
+
+        candidates.sort((a, b) =>
+            (b.healthy - a.healthy) ||
+            ((a.lag === null ? Infinity : a.lag) - (b.lag === null ? Infinity : b.lag)) ||
+            ((a.latency_ms === null ? Infinity : a.latency_ms) - (b.latency_ms === null ? Infinity : b.latency_ms)) ||
+            (a.error_rate - b.error_rate)
+        );
+
+        const next = candidates[0].url;
+        console.warn(`🔀 Switching Hive node ${this.current} → ${next} (${reason})`);
+        this.client.currentAddress = next;
+        this.applyHiveJs(next);
+        return next;
+    }
+
+    applyHiveJs(url) {
+        // hive-js' HTTP transport reads `uri`; `url` alone only moves its failover index
+        hive.api.setOptions({ url, uri: url, alternative_api_endpoints: this.nodes });
+    }
+
+    /**
+     * Probe every node for head block and latency; rotate if the current node is unhealthy
+     */
+    async checkHealth() {
+        await Promise.all(this.nodes.map(async url => {
+            const node = this.status.get(url);
+            const probe = new Client(url, { timeout: this.checkTimeout });
+            const started = Date.now();
+            try {
+                const props = await probe.database.getDynamicGlobalProperties();
+                node.head_block = props.head_block_number;
+                this.recordOutcome(url, true, Date.now() - started);
+            } catch (error) {
+                node.head_block = null;
+                this.recordOutcome(url, false, undefined, error);
+            }
+            node.last_checked = new Date().toISOString();
+        }));
+
+        const bestHead = Math.max(0, ...Array.from(this.status.values()).map(node => node.head_block || 0));
+        for (const node of this.status.values()) {
+            node.lag = node.head_block === null ? null : bestHead - node.head_block;
+            node.healthy = node.head_block !== null && node.lag <= this.maxLag && node.error_rate < 0.5;
+        }
+
+        const current = this.status.get(this.current);
+        if (current && !current.healthy) {
+            this.rotate(current.head_block === null ? 'health check failed' : `${current.lag} blocks behind`);
+        }
+        return this.getStatus();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.checkHealth().catch(error => console.warn('⚠️  Node health check failed:', error.message));
+        this.timer = setInterval(() => {
+            this.checkHealth().catch(error => console.warn('⚠️  Node health check failed:', error.message));
+        }, this.healthInterval);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getStatus() {
+        return {
+            current: this.current,
+            nodes: Array.from(this.status.values()).map(({ outcomes, ...node }) => ({
+                ...node,
+                error_rate: Math.round(node.error_rate * 100) / 100,
+                current: node.url === this.current
+            }))
+        };
+    }
+}
+
+NodePool.configuredNodes = configuredNodes;
+NodePool.isNodeError = isNodeError;
+
+module.exports = NodePool;
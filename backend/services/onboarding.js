@@ -0,0 +1,214 @@
+const { PrivateKey } = require('@hiveio/dhive');
+const UserManager = require('./user-manager');
+
+// change_recovery_account only takes effect after this many days (HIVE_OWNER_AUTH_RECOVERY_PERIOD)
+const RECOVERY_CHANGE_DAYS = 30;
+
+const PROFILE_FIELDS = {
+    picture: { max: 512, url: true },
+    website: { max: 512, url: true },
+    location: { max: 64 },
+    about: { max: 160 }
+};
+
+/**
+ * Profile fields from request notes, one per line: "picture: https://...", "location: Berlin"
+ */
+function parseProfileNotes(notes) {
+    const profile = {};
+    for (const line of String(notes || '').split(/\r?\n/)) {
+        const match = line.match(/^\s*(\w+)\s*[:=]\s*(.+?)\s*$/);
+        if (!match) continue;
+        const field = PROFILE_FIELDS[match[1].toLowerCase()];
+        const value = match[2];
+        if (!field || value.length > field.max) continue;
+        if (field.url && !/^https:\/\/\S+$/.test(value)) continue;
+        profile[match[1].toLowerCase()] = value;
+    }
+    return profile;
+}
+
+/**
+ * Post-creation steps, each enabled by a sponsor setting (see UserManager SETTINGS).
+ * operations(context) returns the operations to broadcast, or null to skip.
+ * Steps with signer 'posting' / 'owner' are signed with the new account's key for
+ * that role, 'faucet' steps with the faucet's active key.
+ */
+const STEPS = [
+    {
+        name: 'profile',
+        signer: 'posting',
+        operations({ account, sponsor, notes }) {
+            if (!UserManager.settingValue(sponsor, 'onboard_profile')) return null;
+            const fields = parseProfileNotes(notes);
+            if (Object.keys(fields).length === 0) return null;
+            return [['account_update2', {
+                account,
+                json_metadata: '',
+                posting_json_metadata: JSON.stringify({ profile: { name: account, ...fields } }),
+                extensions: []
+            }]];
+        }
+    },
+    {
+        name: 'community',
+        signer: 'posting',
+        operations({ account, sponsor }) {
+            const community = UserManager.settingValue(sponsor, 'onboard_community');
+            if (!community) return null;
+            return [['custom_json', {
+                required_auths: [],
+                required_posting_auths: [account],
+                id: 'community',
+                json: JSON.stringify(['subscribe', { community }])
+            }]];
+        }
+    },
+    {
+        name: 'follow',
+        signer: 'posting',
+        operations({ account, sponsor, requester }) {
+            if (!UserManager.settingValue(sponsor, 'onboard_follow')) return null;
+            return [['custom_json', {
+                required_auths: [],
+                required_posting_auths: [account],
+                id: 'follow',
+                json: JSON.stringify(['follow', { follower: account, following: requester, what: ['blog'] }])
+            }]];
+        }
+    },
+    {
+        name: 'recovery_partner',
+        signer: 'owner',
+        operations({ account, sponsor, requester }) {
+            if (!UserManager.settingValue(sponsor, 'recovery_partner')) return null;
+            return [['change_recovery_account', {
+                account_to_recover: account,
+                new_recovery_account: requester,
+                extensions: []
+            }]];
+        }
+    },
+    {
+        name: 'welcome',
+        signer: 'faucet',
+        operations({ account, sponsor, requester, faucet, welcomeAmount }) {
+            const memo = UserManager.settingValue(sponsor, 'onboard_welcome');
+            if (!memo) return null;
+            return [['transfer', {
+                from: faucet,
+                to: account,
+                amount: welcomeAmount,
+                memo: memo.replace(/\{username\}/g, account).replace(/\{sponsor\}/g, requester)
+            }]];
+        }
+    }
+];
+
+/**
+ * Runs the sponsor's onboarding steps for a freshly created account, before its keys are delivered.
+ * A failed step is logged and recorded but never fails the request.
+ */
+class Onboarding {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.welcomeAmount = options.welcomeAmount || process.env.ONBOARDING_WELCOME_AMOUNT || '0.001 HBD';
+        this.steps = [...(options.steps || STEPS)];
+    }
+
+    /**
+     * Register an extra step (same shape as STEPS)
+     */
+    addStep(step) {
+        this.steps.push(step);
+    }
+
+    async broadcast(step, operations, keys) {
+        if (this.monitor.dryRun) {
+            console.log(`   🧪 DRY RUN - onboarding step ${step.name} not broadcast`);
+            return this.monitor.simulatedTransactionId();
+        }
+
+        const key = step.signer === 'faucet' ? this.monitor.creatingActiveKey : keys[`${step.signer}Key`];
+        const result = await this.monitor.client.broadcast.sendOperations(operations, PrivateKey.fromString(key));
+        return result.id;
+    }
+
+    /**
+     * Returns [{ step, transactionId } | { step, error }] for the steps the sponsor enabled
+     */
+    async run(account, keys, details = {}) {
+        let sponsor;
+        try {
+            sponsor = await this.monitor.userManager.getUser(details.requester);
+        } catch (error) {
+            console.warn(`⚠️  Onboarding skipped, could not load @${details.requester}: ${error.message}`);
+            return [];
+        }
+        if (!sponsor) return [];
+
+        const context = {
+            account,
+            sponsor,
+            requester: details.requester,
+            notes: details.notes,
+            faucet: this.monitor.creatingAccount,
+            welcomeAmount: this.welcomeAmount
+        };
+
+        const results = [];
+        for (const step of this.steps) {
+            let operations;
+            try {
+                operations = step.operations(context);
+            } catch (error) {
+                results.push({ step: step.name, error: error.message });
+                continue;
+            }
+            if (!operations) continue;
+
+            try {
+                const transactionId = await this.broadcast(step, operations, keys);
+                console.log(`👋 Onboarding ${step.name} done (TX ${transactionId})`);
+                results.push({ step: step.name, transactionId });
+            } catch (error) {
+                console.warn(`⚠️  Onboarding ${step.name} for @${account} failed: ${error.message}`);
+                results.push({ step: step.name, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Sponsor recovery changes from the ledger; pending ones take effect RECOVERY_CHANGE_DAYS after the request
+     */
+    recoveryChanges({ all = false } = {}) {
+        const changes = [];
+        for (const request of this.monitor.ledger.buildRequests().values()) {
+            const step = (request.onboarding || []).find(result => result.step === 'recovery_partner' && result.transactionId);
+            if (!step) continue;
+
+            const created = request.history.find(entry => entry.state === 'account_created');
+            const effectiveOn = new Date(Date.parse(created.at) + RECOVERY_CHANGE_DAYS * 24 * 60 * 60 * 1000);
+            const pending = effectiveOn.getTime() > Date.now();
+            if (!pending && !all) continue;
+
+            changes.push({
+                account: request.requested_username,
+                recovery_account: request.requester,
+                requested_at: created.at,
+                effective_on: effectiveOn.toISOString(),
+                pending,
+                transactionId: step.transactionId
+            });
+        }
+        return changes.sort((a, b) => a.effective_on.localeCompare(b.effective_on));
+    }
+}
+
+Onboarding.RECOVERY_CHANGE_DAYS = RECOVERY_CHANGE_DAYS;
+
+Onboarding.STEPS = STEPS;
+Onboarding.parseProfileNotes = parseProfileNotes;
+
+module.exports = Onboarding;
@@ -0,0 +1,88 @@
+const UserManager = require('./user-manager');
+
+/**
+ * "3.000 HIVE" -> { milli: 3000, symbol: 'HIVE' } (integer thousandths avoid float drift)
+ */
+function parseAsset(text) {
+    const [amount, symbol] = String(text).trim().split(/\s+/);
+    const milli = Math.round(parseFloat(amount) * 1000);
+    if (!Number.isFinite(milli)) throw new Error(`Invalid asset "${text}"`);
+    return { milli, symbol };
+}
+
+function formatMilli(milli, symbol = 'HIVE') {
+    return `${(milli / 1000).toFixed(3)} ${symbol}`;
+}
+
+/**
+ * Paid account_create fallback for when the ACT pool is empty (PAID_CREATION_ENABLED).
+ * The fee is read from chain properties and is only paid when:
+ *   - the sponsor has the paid_creation setting,
+ *   - the fee is at most PAID_CREATION_MAX_FEE,
+ *   - today's (UTC) spending stays within PAID_CREATION_DAILY_LIMIT.
+ * Spending is summed from the fee_paid field on ledger entries, so restarts keep the budget.
+ */
+class PaidCreation {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.enabled = options.enabled !== undefined ? options.enabled : /^(1|true|yes)$/i.test(process.env.PAID_CREATION_ENABLED || '');
+        this.maxFee = Math.round((options.maxFee || parseFloat(process.env.PAID_CREATION_MAX_FEE) || 3) * 1000);
+        this.dailyLimit = Math.round((options.dailyLimit || parseFloat(process.env.PAID_CREATION_DAILY_LIMIT) || 10) * 1000);
+    }
+
+    async currentFee() {
+        const props = await this.monitor.client.database.getChainProperties();
+        return parseAsset(props.account_creation_fee);
+    }
+
+    /**
+     * Fees recorded in the ledger since midnight UTC (thousandths of HIVE)
+     */
+    spentToday() {
+        const today = new Date().toISOString().substring(0, 10);
+        return this.monitor.ledger.loadEntries()
+            .filter(entry => entry.fee_paid && entry.at.startsWith(today))
+            .reduce((sum, entry) => sum + parseAsset(entry.fee_paid).milli, 0);
+    }
+
+    /**
+     * May this sponsor's request pay for its account? Returns { allowed, fee, reason }
+     */
+    async quote(sponsor) {
+        if (!this.enabled) {
+            return { allowed: false, reason: 'paid creation disabled' };
+        }
+        if (!UserManager.settingValue(sponsor, 'paid_creation')) {
+            return { allowed: false, reason: 'sponsor is not allowed paid creation' };
+        }
+
+        let fee;
+        try {
+            fee = await this.currentFee();
+        } catch (error) {
+            return { allowed: false, reason: `could not read the account creation fee: ${error.message}` };
+        }
+
+        if (fee.milli > this.maxFee) {
+            return { allowed: false, reason: `fee ${formatMilli(fee.milli, fee.symbol)} is above the ${formatMilli(this.maxFee, fee.symbol)} cap` };
+        }
+
+        const spent = this.spentToday();
+        if (spent + fee.milli > this.dailyLimit) {
+            return { allowed: false, reason: `daily limit reached (${formatMilli(spent, fee.symbol)} of ${formatMilli(this.dailyLimit, fee.symbol)} spent today)` };
+        }
+
+        return { allowed: true, fee: formatMilli(fee.milli, fee.symbol) };
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            max_fee: formatMilli(this.maxFee),
+            daily_limit: formatMilli(this.dailyLimit),
+            spent_today: formatMilli(this.spentToday())
+        };
+    }
+}
+
+module.exports = PaidCreation;
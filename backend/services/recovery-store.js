@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { CredentialCipher } = require('./credential-cipher');
+const FileLock = require('./file-lock');
+const { dataFileName } = require('./dry-run');
+
+// Fields that are only ever written to disk encrypted
+const SECRET_FIELDS = ['masterPassword', 'ownerKey', 'activeKey', 'postingKey', 'memoKey'];
+
+/**
+ * Recovery store for generated credentials that have not been delivered yet
+ * (data/pending_credentials.json). Records are written before delivery is
+ * attempted so a created account can never be "lost".
+ *
+ * Secret fields are sealed into an encrypted `sealed` blob; bookkeeping
+ * fields (username, requester, attempts) stay readable so the queue can be
+ * listed without the key. loadPending() returns sealed records,
+ * getPending()/unseal() return the decrypted credentials.
+ */
+class RecoveryStore {
+    constructor(options = {}) {
+        this.recoveryDir = options.recoveryDir || path.join(__dirname, '..', 'data');
+        this.recoveryFile = options.recoveryFile || path.join(this.recoveryDir, dataFileName('pending_credentials.json'));
+        this.cipher = options.cipher || CredentialCipher.fromEnv();
+        // The monitor, the retrier and admin.js (retry-delivery, purge-pending) all rewrite the file
+        this.lock = new FileLock(this.recoveryFile, { timeout: options.lockTimeout });
+        this.ensureRecoveryFile();
+        this.sealLegacyRecords();
+    }
+
+    /**
+     * Whether new records can be stored (never fall back to plaintext)
+     */
+    get canEncrypt() {
+        return this.cipher.isConfigured;
+    }
+
+    ensureRecoveryFile() {
+        try {
+            if (!fs.existsSync(this.recoveryDir)) fs.mkdirSync(this.recoveryDir, { recursive: true });
+            if (!fs.existsSync(this.recoveryFile)) fs.writeFileSync(this.recoveryFile, JSON.stringify({ pending: [] }, null, 2), { mode: 0o600 });
+        } catch (e) {
+            console.warn('⚠️  Could not prepare recovery file:', e.message);
+        }
+    }
+
+    /**
+     * Encrypt records written in plaintext by older versions
+     */
+    sealLegacyRecords() {
+        const isLegacy = record => SECRET_FIELDS.some(field => field in record);
+        const legacy = this.loadPending().filter(isLegacy);
+        if (legacy.length === 0) return;
+
+        if (!this.canEncrypt) {
+            console.warn(`⚠️  ${legacy.length} plaintext recovery record(s) found - set ENCRYPTION_SECRET to encrypt them`);
+            return;
+        }
+
+        const sealed = this.mutate(list => {
+            const count = list.filter(isLegacy).length;
+            list.forEach((record, index) => { list[index] = this.seal(record); });
+            return count;
+        });
+        console.log(`🔐 Encrypted ${sealed} plaintext recovery record(s)`);
+    }
+
+    seal(record) {
+        const secrets = {};
+        const sealed = {};
+        for (const [field, value] of Object.entries(record)) {
+            if (SECRET_FIELDS.includes(field)) {
+                secrets[field] = value;
+            } else {
+                sealed[field] = value;
+            }
+        }
+        if (Object.keys(secrets).length === 0) return record;
+
+        sealed.sealed = this.cipher.encrypt(secrets);
+        return sealed;
+    }
+
+    /**
+     * Decrypt a record's credentials; throws if the key is missing or wrong
+     */
+    unseal(record) {
+        if (!record || !record.sealed) return record;
+
+        const { sealed, ...rest } = record;
+        return { ...rest, ...this.cipher.decrypt(sealed) };
+    }
+
+    loadPending() {
+        try {
+            const raw = fs.readFileSync(this.recoveryFile, 'utf8');
+            return JSON.parse(raw).pending || [];
+        } catch {
+            return [];
+        }
+    }
+
+    savePending(list) {
+        try {
+            const tmp = this.recoveryFile + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify({ pending: list }, null, 2), { mode: 0o600 });
+            fs.renameSync(tmp, this.recoveryFile);
+        } catch (e) {
+            console.warn('⚠️  Failed to write recovery file:', e.message);
+        }
+    }
+
+    /**
+     * Read-modify-write under the lock file; fn(list) edits the list in place and its result is returned
+     */
+    mutate(fn) {
+        const fd = this.lock.acquireSync();
+        try {
+            const list = this.loadPending();
+            const result = fn(list);
+            this.savePending(list);
+            return result;
+        } finally {
+            this.lock.release(fd);
+        }
+    }
+
+    addPending(record) {
+        const sealed = this.seal(record);
+        this.mutate(list => { list.push(sealed); });
+    }
+
+    /**
+     * Decrypted record for delivery/export
+     */
+    getPending(username) {
+        return this.unseal(this.loadPending().find(r => r.username === username) || null);
+    }
+
+    /**
+     * Merge bookkeeping fields into an existing record (e.g. delivery attempts)
+     */
+    updatePending(username, changes) {
+        const touchesSecrets = SECRET_FIELDS.some(field => field in changes);
+        return this.mutate(list => {
+            const index = list.findIndex(r => r.username === username);
+            if (index === -1) return null;
+
+            list[index] = touchesSecrets
+                ? this.seal({ ...this.unseal(list[index]), ...changes })
+                : Object.assign(list[index], changes);
+            return list[index];
+        });
+    }
+
+    removePending(username) {
+        this.mutate(list => {
+            const index = list.findIndex(r => r.username === username);
+            if (index !== -1) list.splice(index, 1);
+        });
+    }
+}
+
+RecoveryStore.SECRET_FIELDS = SECRET_FIELDS;
+
+module.exports = RecoveryStore;
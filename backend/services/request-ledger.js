@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { dataFileName } = require('./dry-run');
+
+// Lifecycle states a request moves through (in rough order)
+const STATES = {
+    RECEIVED: 'received',
+    AUTHORIZED: 'authorized',
+    REJECTED: 'rejected',
+    ACCOUNT_CREATED: 'account_created',
+    DELIVERED: 'delivered',
+    DELIVERY_FAILED: 'delivery_failed'
+};
+
+/**
+ * JSON lines -> entries (skips corrupt lines)
+ */
+function parseLines(raw) {
+    const entries = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // partial line from an interrupted write - ignore
+        }
+    }
+    return entries;
+}
+
+/**
+ * Fold one entry into a summary map: latest state + merged details + history
+ */
+function foldEntry(requests, entry) {
+    const { transactionId, state, at, ...details } = entry;
+    let request = requests.get(transactionId);
+    if (!request) {
+        request = { transactionId, state, created_at: at, updated_at: at, history: [] };
+        requests.set(transactionId, request);
+    }
+
+    Object.assign(request, details);
+    request.state = state;
+    request.updated_at = at;
+    request.history.push({ state, at, ...details });
+}
+
+/**
+ * Ledger key of the faucet request in operation `opIndex` of a transaction. One transaction
+ * can carry several requests; the first operation keeps the bare id (as in older ledgers).
+ */
+function requestKey(transactionId, opIndex = 0) {
+    return opIndex > 0 ? `${transactionId}:${opIndex}` : transactionId;
+}
+
+/**
+ * Append-only ledger of account creation requests, keyed by transactionId (see requestKey).
+ * Every state change is appended as one JSON line to data/request_ledger.jsonl;
+ * entries are never rewritten, so the file doubles as an audit trail.
+ */
+class RequestLedger {
+    constructor(options = {}) {
+        this.ledgerFile = options.ledgerFile || path.join(__dirname, '..', 'data', dataFileName('request_ledger.jsonl'));
+        this.index = null;
+        this.ensureLedgerFile();
+    }
+
+    ensureLedgerFile() {
+        try {
+            const dir = path.dirname(this.ledgerFile);
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+            if (!fs.existsSync(this.ledgerFile)) fs.writeFileSync(this.ledgerFile, '');
+        } catch (e) {
+            console.warn('⚠️  Could not prepare request ledger:', e.message);
+        }
+    }
+
+    /**
+     * Append a state transition for a request
+     */
+    record(transactionId, state, details = {}) {
+        const entry = {
+            transactionId,
+            state,
+            at: new Date().toISOString(),
+            ...details
+        };
+
+        try {
+            fs.appendFileSync(this.ledgerFile, JSON.stringify(entry) + '\n');
+        } catch (e) {
+            console.warn('⚠️  Failed to append to request ledger:', e.message);
+        }
+        return entry;
+    }
+
+    /**
+     * In-memory request summaries (and request_id lookup), built on first use and caught up
+     * with whatever was appended since - by this process or another (admin.js). Lookups cost
+     * a stat; only bytes appended since the last call are read and parsed.
+     */
+    syncIndex() {
+        let size = 0;
+        try {
+            size = fs.statSync(this.ledgerFile).size;
+        } catch {
+            // no ledger yet - empty index
+        }
+
+        if (!this.index || size < this.index.offset) {
+            this.index = { requests: new Map(), requestIds: new Map(), offset: 0 };
+        }
+        if (size <= this.index.offset) return this.index;
+
+        const buffer = Buffer.alloc(size - this.index.offset);
+        const fd = fs.openSync(this.ledgerFile, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.index.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Stop at the last complete line; a line still being written is read next time
+        const complete = buffer.lastIndexOf(0x0a) + 1;
+        for (const entry of parseLines(buffer.toString('utf8', 0, complete))) {
+            foldEntry(this.index.requests, entry);
+            if (entry.request_id && !this.index.requestIds.has(entry.request_id)) {
+                this.index.requestIds.set(entry.request_id, entry.transactionId);
+            }
+        }
+        this.index.offset += complete;
+        return this.index;
+    }
+
+    /**
+     * Whether a transaction has already been handled (processed-transaction index)
+     */
+    hasTransaction(transactionId) {
+        return this.syncIndex().requests.has(transactionId);
+    }
+
+    /**
+     * Read every ledger entry in append order (skips corrupt lines)
+     */
+    loadEntries() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.ledgerFile, 'utf8');
+        } catch {
+            return [];
+        }
+        return parseLines(raw);
+    }
+
+    /**
+     * Fold entries into one summary per request: latest state + merged details + history
+     */
+    buildRequests(entries = this.loadEntries()) {
+        const requests = new Map();
+        for (const entry of entries) foldEntry(requests, entry);
+        return requests;
+    }
+
+    /**
+     * Get a single request summary (or null), answered from the in-memory index
+     */
+    getRequest(transactionId) {
+        const request = this.syncIndex().requests.get(transactionId);
+        return request ? { ...request, history: [...request.history] } : null;
+    }
+
+    /**
+     * Find a request by transaction id or by the client-generated request_id
+     */
+    findRequest(id) {
+        const { requests, requestIds } = this.syncIndex();
+        const transactionId = requests.has(id) ? id : requestIds.get(id);
+        return transactionId ? this.getRequest(transactionId) : null;
+    }
+
+    /**
+     * List request summaries, newest activity first
+     */
+    listRequests({ state = null, requester = null, limit = 50 } = {}) {
+        let requests = Array.from(this.buildRequests().values());
+
+        if (state) requests = requests.filter(r => r.state === state);
+        if (requester) requests = requests.filter(r => r.requester === requester);
+
+        requests.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        return limit ? requests.slice(0, limit) : requests;
+    }
+
+    /**
+     * Count requests per current state
+     */
+    getStateCounts() {
+        const counts = {};
+        for (const state of Object.values(STATES)) counts[state] = 0;
+        for (const request of this.buildRequests().values()) {
+            counts[request.state] = (counts[request.state] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+RequestLedger.STATES = STATES;
+RequestLedger.requestKey = requestKey;
+
+module.exports = RequestLedger;
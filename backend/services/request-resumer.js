@@ -0,0 +1,140 @@
+const RequestLedger = require('./request-ledger');
+
+const { STATES } = RequestLedger;
+
+// Ledger states that mean the monitor stopped in the middle of a request
+const UNFINISHED = [STATES.RECEIVED, STATES.AUTHORIZED, STATES.ACCOUNT_CREATED];
+
+/**
+ * Startup pass that finishes requests interrupted by a crash or restart.
+ * The ledger state plus the staged recovery record decide where to resume:
+ *   - nothing staged yet          -> re-run the request from authorization
+ *   - staged 'creating'           -> adopt the account if it reached the chain, else broadcast it
+ *   - staged 'created' (or older) -> deliver credentials
+ *   - staged 'delivered'          -> deduct the token and close the request
+ */
+class RequestResumer {
+    constructor(monitor) {
+        this.monitor = monitor;
+    }
+
+    /**
+     * Requests that need resuming, paired with their (sealed) recovery record
+     */
+    findInterrupted() {
+        const staged = new Map();
+        for (const record of this.monitor.recovery.loadPending()) {
+            if (record.requestTransactionId) staged.set(record.requestTransactionId, record);
+        }
+
+        return this.monitor.ledger.listRequests({ limit: 0 })
+            .map(request => ({ request, sealed: staged.get(request.transactionId) || null }))
+            .filter(({ request, sealed }) =>
+                UNFINISHED.includes(request.state) ||
+                (sealed && (sealed.stage === 'delivered' || request.state === STATES.DELIVERED))
+            )
+            .reverse(); // oldest first
+    }
+
+    async resumeAll() {
+        const interrupted = this.findInterrupted();
+        if (interrupted.length === 0) return 0;
+
+        console.log(`♻️  Resuming ${interrupted.length} interrupted request(s)...`);
+        let resumed = 0;
+        for (const { request, sealed } of interrupted) {
+            try {
+                await this.resume(request, sealed);
+                resumed++;
+            } catch (error) {
+                console.error(`❌ Could not resume ${request.transactionId} (@${request.requested_username}): ${error.message}`);
+            }
+        }
+        return resumed;
+    }
+
+    async resume(request, sealed) {
+        const monitor = this.monitor;
+        const txId = request.transactionId;
+
+        if (!sealed) {
+            if (request.state === STATES.ACCOUNT_CREATED) {
+                // Created before credentials were staged - nothing left to deliver
+                monitor.ledger.record(txId, STATES.DELIVERY_FAILED, {
+                    resumed: true,
+                    reason: 'Credentials missing from recovery store after restart'
+                });
+                console.log(`🚨 @${request.requested_username}: account created but credentials were not stored`);
+                return;
+            }
+
+            // Nothing was broadcast yet - run the whole request again
+            console.log(`♻️  @${request.requested_username}: restarting request ${txId} from authorization`);
+            await monitor.processAccountRequest({
+                data: {
+                    requested_username: request.requested_username,
+                    delivery_method: request.delivery_method,
+                    authority_template: request.authority_template,
+                    notes: request.notes
+                },
+                requestId: request.request_id || null,
+                blockNumber: request.blockNumber,
+                transactionId: txId,
+                requester: request.requester
+            });
+            return;
+        }
+
+        let record = monitor.recovery.unseal(sealed);
+
+        if (request.state === STATES.DELIVERED) {
+            // Stopped between the ledger entry and purging the record
+            monitor.recovery.removePending(record.username);
+            console.log(`♻️  @${record.username}: already delivered, purged recovery record`);
+            return;
+        }
+
+        if (record.stage === 'delivered') {
+            console.log(`♻️  @${record.username}: delivered before restart, finishing token deduction`);
+            await monitor.completeDelivery(record, txId, { ...record.delivery_details, resumed: true });
+            return;
+        }
+
+        if (record.stage === 'creating') {
+            record = await this.resumeCreation(record);
+            if (!record) return;
+        }
+
+        console.log(`♻️  @${record.username}: resuming credential delivery`);
+        const sponsor = await monitor.userManager.getUser(record.requester);
+        await monitor.deliverAndComplete(record, sponsor ? sponsor.email : null);
+    }
+
+    /**
+     * A crash during broadcast leaves it unknown whether the account exists - check the chain
+     */
+    async resumeCreation(record) {
+        const monitor = this.monitor;
+        const txId = record.requestTransactionId;
+        const outcome = await monitor.findStagedAccount(record);
+
+        if (!outcome) {
+            console.log(`♻️  @${record.username}: not on chain yet, creating it now`);
+            return monitor.createStagedAccount(record);
+        }
+
+        if (outcome === 'taken') {
+            monitor.recovery.removePending(record.username);
+            monitor.ledger.record(txId, STATES.REJECTED, { reason: `Username @${record.username} is already taken` });
+            console.log(`❌ @${record.username} was created by someone else - request rejected, no token deducted`);
+            return null;
+        }
+
+        console.log(`♻️  @${record.username}: broadcast had succeeded before restart`);
+        // Delegation and onboarding never ran for it - finish exactly like a fresh creation
+        const keys = monitor.generateAccountKeys(record.username, record.masterPassword);
+        return monitor.completeCreation(record, keys, record.transactionId || null, { resumed: true });
+    }
+}
+
+module.exports = RequestResumer;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { Signature, cryptoUtils } = require('@hiveio/dhive');
+
+/**
+ * Hive Keychain challenge/response login.
+ * 1. createChallenge(username, client) issues a one-time nonce message
+ * 2. the browser signs it with hive_keychain.requestSignBuffer (Posting)
+ * 3. verifyChallenge() recovers the public key from the signature, checks it
+ *    against the account's posting/active authorities on chain and issues a
+ *    session token (in memory - sessions reset on restart).
+ */
+class SessionManager {
+    constructor(client, userManager, options = {}) {
+        this.client = client;
+        this.userManager = userManager;
+        this.challengeTtl = options.challengeTtl || 5 * 60 * 1000; // 5 minutes to sign
+        // Challenges are issued to anyone, so their number is capped overall and per client (IP)
+        this.maxChallenges = options.maxChallenges || parseInt(process.env.AUTH_MAX_CHALLENGES) || 1000;
+        this.maxChallengesPerClient = options.maxChallengesPerClient || parseInt(process.env.AUTH_MAX_CHALLENGES_PER_CLIENT) || 10;
+        this.sessionTtl = options.sessionTtl || (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+        this.adminAccounts = (options.adminAccounts || process.env.ADMIN_ACCOUNTS || '')
+            .split(',')
+            .map(a => a.trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean);
+
+        this.challenges = new Map(); // nonce -> { username, client, message, expiresAt }
+        this.sessions = new Map(); // token -> { username, role, expiresAt }
+    }
+
+    /**
+     * Issue a login challenge for an account. Keyed by nonce, so a new challenge never
+     * replaces someone else's; refused (429) while the caps are reached.
+     */
+    createChallenge(username, client = null) {
+        this.purgeExpired();
+        if (this.challenges.size >= this.maxChallenges) {
+            return { success: false, status: 429, error: 'Too many pending login challenges, try again later' };
+        }
+        let fromClient = 0;
+        for (const pending of this.challenges.values()) {
+            if (pending.client === client) fromClient++;
+        }
+        if (fromClient >= this.maxChallengesPerClient) {
+            return { success: false, status: 429, error: 'Too many pending login challenges from this client, try again later' };
+        }
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const message = `hive_account_faucet login\nuser: ${username}\nnonce: ${nonce}\nissued: ${issuedAt.toISOString()}`;
+        const expiresAt = issuedAt.getTime() + this.challengeTtl;
+
+        this.challenges.set(nonce, { username, client, message, expiresAt });
+        return { success: true, username, challenge: message, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Verify a signed challenge and open a session
+     */
+    async verifyChallenge(username, challenge, signature) {
+        const match = String(challenge).match(/\nnonce: ([0-9a-f]{32})\n/);
+        const nonce = match && match[1];
+        const pending = nonce ? this.challenges.get(nonce) : null;
+        if (!pending || pending.message !== challenge || pending.username !== username) {
+            return { success: false, status: 400, error: 'Unknown or already used challenge' };
+        }
+        // Challenges are single use, whatever the outcome
+        this.challenges.delete(nonce);
+
+        if (Date.now() > pending.expiresAt) {
+            return { success: false, status: 400, error: 'Challenge expired' };
+        }
+
+        let signerKey;
+        try {
+            signerKey = Signature.fromString(signature).recover(cryptoUtils.sha256(challenge)).toString();
+        } catch (error) {
+            return { success: false, status: 400, error: 'Malformed signature' };
+        }
+
+        const accounts = await this.client.database.getAccounts([username]);
+        if (!accounts.length) {
+            return { success: false, status: 404, error: `Account @${username} not found` };
+        }
+
+        if (!this.isAuthorityKey(accounts[0], signerKey)) {
+            return { success: false, status: 401, error: 'Signature does not match account posting or active key' };
+        }
+
+        const role = await this.resolveRole(username);
+        if (!role) {
+            return { success: false, status: 403, error: `@${username} is not an admin or registered sponsor` };
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.sessionTtl;
+        this.sessions.set(token, { username, role, expiresAt });
+
+        return {
+            success: true,
+            token,
+            username,
+            role,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * True if key appears in the account's posting or active key_auths
+     */
+    isAuthorityKey(account, publicKey) {
+        return ['posting', 'active'].some(role => {
+            const authority = account[role];
+            return authority && authority.key_auths.some(([key, weight]) =>
+                key === publicKey && weight >= authority.weight_threshold
+            );
+        });
+    }
+
+    /**
+     * admin (ADMIN_ACCOUNTS) > sponsor (present in user store) > none
+     */
+    async resolveRole(username) {
+        if (this.adminAccounts.includes(username)) return 'admin';
+        const user = await this.userManager.getUser(username);
+        return user ? 'sponsor' : null;
+    }
+
+    getSession(token) {
+        if (!token) return null;
+        const session = this.sessions.get(token);
+        if (!session) return null;
+        if (Date.now() > session.expiresAt) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    revoke(token) {
+        return this.sessions.delete(token);
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        for (const [nonce, challenge] of this.challenges) {
+            if (now > challenge.expiresAt) this.challenges.delete(nonce);
+        }
+        for (const [token, session] of this.sessions) {
+            if (now > session.expiresAt) this.sessions.delete(token);
+        }
+    }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,28 @@
+/**
+ * User store factory - selects the UserManager storage backend from USER_STORE
+ * (json | sqlite | postgres). Backends are required lazily so optional drivers
+ * only need to be installed when actually selected.
+ */
+function createUserStore(options = {}) {
+    const type = (options.type || process.env.USER_STORE || 'json').toLowerCase();
+
+    switch (type) {
+        case 'json': {
+            const JsonUserStore = require('./json-user-store');
+            return new JsonUserStore(options);
+        }
+        case 'sqlite': {
+            const SqliteUserStore = require('./sqlite-user-store');
+            return new SqliteUserStore(options);
+        }
+        case 'postgres':
+        case 'pg': {
+            const PostgresUserStore = require('./postgres-user-store');
+            return new PostgresUserStore(options);
+        }
+        default:
+            throw new Error(`Unknown USER_STORE "${type}" (expected json, sqlite or postgres)`);
+    }
+}
+
+module.exports = { createUserStore };
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const FileLock = require('../file-lock');
+
+/**
+ * Own entry only: a plain object lookup would resolve "__proto__" or "constructor" to built-ins
+ */
+function findUser(data, username) {
+    return Object.prototype.hasOwnProperty.call(data.authorized_users, username)
+        ? data.authorized_users[username]
+        : undefined;
+}
+
+/**
+ * JSON file user store (default backend).
+ * Keeps the historical data/authorized_users.json layout, but every write runs
+ * under a lock file and is written atomically (tmp + rename) so admin.js and the
+ * monitor can no longer overwrite each other's changes.
+ */
+class JsonUserStore {
+    constructor(options = {}) {
+        this.dataFile = options.dataFile || path.join(__dirname, '..', '..', 'data', 'authorized_users.json');
+        this.lock = new FileLock(this.dataFile, { timeout: options.lockTimeout, staleAge: options.staleLockAge });
+        this.queue = Promise.resolve(); // serializes writers inside this process
+    }
+
+    async init() {
+        const dataDir = path.dirname(this.dataFile);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+
+        if (!fs.existsSync(this.dataFile)) {
+            const now = new Date().toISOString();
+            this.write({
+                authorized_users: {},
+                metadata: { created_at: now, last_updated: now }
+            });
+        }
+    }
+
+    async close() {}
+
+    read() {
+        const raw = fs.readFileSync(this.dataFile, 'utf8');
+        const data = JSON.parse(raw);
+        // Prototype-free map so a username can never reach Object.prototype
+        data.authorized_users = Object.assign(Object.create(null), data.authorized_users);
+        data.metadata = data.metadata || {};
+        return data;
+    }
+
+    write(data) {
+        const users = Object.values(data.authorized_users);
+        data.metadata = {
+            ...data.metadata,
+            last_updated: new Date().toISOString(),
+            total_users: users.length,
+            total_tokens_allocated: users.reduce((sum, u) => sum + (u.tokens_allocated || 0), 0),
+            total_tokens_used: users.reduce((sum, u) => sum + (u.tokens_used || 0), 0)
+        };
+
+        const tmp = this.dataFile + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmp, this.dataFile);
+    }
+
+    /**
+     * Run fn(data) with exclusive write access; changes are saved unless fn throws
+     */
+    transaction(fn) {
+        const run = async () => {
+            // Cross-process lock file (admin.js and the server are separate processes)
+            const fd = await this.lock.acquire();
+            try {
+                const data = this.read();
+                const result = fn(data);
+                this.write(data);
+                return result;
+            } finally {
+                this.lock.release(fd);
+            }
+        };
+
+        const pending = this.queue.then(run, run);
+        this.queue = pending.catch(() => {});
+        return pending;
+    }
+
+    async getUser(username) {
+        const user = findUser(this.read(), username);
+        return user ? { ...user } : null;
+    }
+
+    async listUsers() {
+        return this.read().authorized_users;
+    }
+
+    async getMetadata() {
+        return this.read().metadata;
+    }
+
+    async insertUser(username, user) {
+        return this.transaction(data => {
+            if (findUser(data, username)) return false;
+            data.authorized_users[username] = { ...user };
+            return true;
+        });
+    }
+
+    async updateUser(username, mutator) {
+        return this.transaction(data => {
+            const user = findUser(data, username);
+            if (!user) return null;
+            mutator(user);
+            return { ...user };
+        });
+    }
+
+    async consumeToken(username) {
+        return this.transaction(data => {
+            const user = findUser(data, username);
+            if (!user || user.tokens_remaining <= 0) return null;
+            user.tokens_used += 1;
+            user.tokens_remaining -= 1;
+            user.last_used = new Date().toISOString();
+            return { ...user };
+        });
+    }
+}
+
+module.exports = JsonUserStore;
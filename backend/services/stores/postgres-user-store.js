@@ -0,0 +1,190 @@
+const { Pool } = require('pg');
+
+/**
+ * PostgreSQL user store (USER_STORE=postgres).
+ * Updates lock the sponsor row with SELECT ... FOR UPDATE inside a transaction;
+ * token consumption is a single conditional UPDATE so it can never go negative.
+ */
+class PostgresUserStore {
+    constructor(options = {}) {
+        this.connectionString = options.connectionString || process.env.DATABASE_URL;
+        this.pool = null;
+    }
+
+    async init() {
+        if (!this.connectionString) {
+            throw new Error('USER_STORE=postgres requires DATABASE_URL');
+        }
+
+        this.pool = new Pool({ connectionString: this.connectionString });
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS authorized_users (
+                username VARCHAR(16) PRIMARY KEY,
+                tokens_allocated INTEGER NOT NULL DEFAULT 0,
+                tokens_used INTEGER NOT NULL DEFAULT 0,
+                tokens_remaining INTEGER NOT NULL DEFAULT 0,
+                email VARCHAR(255),
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                last_used TIMESTAMPTZ,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                notes TEXT,
+                settings JSONB NOT NULL DEFAULT '{}'::jsonb
+            );
+            ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+            CREATE TABLE IF NOT EXISTS store_metadata (
+                key VARCHAR(64) PRIMARY KEY,
+                value TEXT
+            );
+            INSERT INTO store_metadata (key, value) VALUES ('created_at', NOW()::text)
+            ON CONFLICT (key) DO NOTHING;
+        `);
+    }
+
+    async close() {
+        if (this.pool) await this.pool.end();
+        this.pool = null;
+    }
+
+    rowToUser(row) {
+        return {
+            tokens_allocated: row.tokens_allocated,
+            tokens_used: row.tokens_used,
+            tokens_remaining: row.tokens_remaining,
+            email: row.email,
+            created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+            last_used: row.last_used ? new Date(row.last_used).toISOString() : null,
+            is_active: row.is_active,
+            notes: row.notes || '',
+            settings: row.settings || {}
+        };
+    }
+
+    /**
+     * Run fn(client) inside BEGIN/COMMIT, rolling back if it throws
+     */
+    async transaction(fn) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await fn(client);
+            await client.query(
+                `INSERT INTO store_metadata (key, value) VALUES ('last_updated', $1)
+                 ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+                [new Date().toISOString()]
+            );
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    userValues(username, user) {
+        return [
+            username,
+            user.tokens_allocated,
+            user.tokens_used,
+            user.tokens_remaining,
+            user.email || null,
+            user.created_at || new Date().toISOString(),
+            user.last_used || null,
+            !!user.is_active,
+            user.notes || '',
+            JSON.stringify(user.settings || {})
+        ];
+    }
+
+    async writeUser(client, username, user) {
+        await client.query(`
+            INSERT INTO authorized_users
+                (username, tokens_allocated, tokens_used, tokens_remaining, email, created_at, last_used, is_active, notes, settings)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (username) DO UPDATE SET
+                tokens_allocated = EXCLUDED.tokens_allocated,
+                tokens_used = EXCLUDED.tokens_used,
+                tokens_remaining = EXCLUDED.tokens_remaining,
+                email = EXCLUDED.email,
+                last_used = EXCLUDED.last_used,
+                is_active = EXCLUDED.is_active,
+                notes = EXCLUDED.notes,
+                settings = EXCLUDED.settings
+        `, this.userValues(username, user));
+    }
+
+    async getUser(username) {
+        const { rows } = await this.pool.query('SELECT * FROM authorized_users WHERE username = $1', [username]);
+        return rows.length ? this.rowToUser(rows[0]) : null;
+    }
+
+    async listUsers() {
+        const { rows } = await this.pool.query('SELECT * FROM authorized_users ORDER BY username');
+        const users = Object.create(null);
+        for (const row of rows) {
+            users[row.username] = this.rowToUser(row);
+        }
+        return users;
+    }
+
+    async getMetadata() {
+        const meta = {};
+        const { rows } = await this.pool.query('SELECT key, value FROM store_metadata');
+        for (const row of rows) {
+            meta[row.key] = row.value;
+        }
+        const totals = await this.pool.query(`
+            SELECT COUNT(*)::int AS total_users,
+                   COALESCE(SUM(tokens_allocated), 0)::int AS total_tokens_allocated,
+                   COALESCE(SUM(tokens_used), 0)::int AS total_tokens_used
+            FROM authorized_users
+        `);
+
+        return {
+            created_at: meta.created_at,
+            last_updated: meta.last_updated || meta.created_at,
+            ...totals.rows[0]
+        };
+    }
+
+    async insertUser(username, user) {
+        return this.transaction(async client => {
+            // One statement, so of two concurrent adds only one inserts
+            const result = await client.query(`
+                INSERT INTO authorized_users
+                    (username, tokens_allocated, tokens_used, tokens_remaining, email, created_at, last_used, is_active, notes, settings)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                ON CONFLICT (username) DO NOTHING
+            `, this.userValues(username, user));
+            return result.rowCount === 1;
+        });
+    }
+
+    async updateUser(username, mutator) {
+        return this.transaction(async client => {
+            const { rows } = await client.query('SELECT * FROM authorized_users WHERE username = $1 FOR UPDATE', [username]);
+            if (!rows.length) return null;
+            const user = this.rowToUser(rows[0]);
+            mutator(user);
+            await this.writeUser(client, username, user);
+            return user;
+        });
+    }
+
+    async consumeToken(username) {
+        return this.transaction(async client => {
+            const { rows } = await client.query(`
+                UPDATE authorized_users
+                SET tokens_used = tokens_used + 1,
+                    tokens_remaining = tokens_remaining - 1,
+                    last_used = NOW()
+                WHERE username = $1 AND tokens_remaining > 0
+                RETURNING *
+            `, [username]);
+            return rows.length ? this.rowToUser(rows[0]) : null;
+        });
+    }
+}
+
+module.exports = PostgresUserStore;
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite user store (USER_STORE=sqlite).
+ * Uses better-sqlite3 (optional dependency). Writes run inside BEGIN IMMEDIATE
+ * transactions, which take SQLite's write lock up front, so concurrent processes
+ * queue behind each other instead of interleaving read-modify-write cycles.
+ */
+class SqliteUserStore {
+    constructor(options = {}) {
+        this.dbFile = options.dbFile || process.env.SQLITE_PATH || path.join(__dirname, '..', '..', 'data', 'faucet.db');
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('USER_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        const dir = path.dirname(this.dbFile);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+        this.db = new Database(this.dbFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS authorized_users (
+                username TEXT PRIMARY KEY,
+                tokens_allocated INTEGER NOT NULL DEFAULT 0,
+                tokens_used INTEGER NOT NULL DEFAULT 0,
+                tokens_remaining INTEGER NOT NULL DEFAULT 0,
+                email TEXT,
+                created_at TEXT NOT NULL,
+                last_used TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                notes TEXT,
+                settings TEXT
+            );
+            CREATE TABLE IF NOT EXISTS store_metadata (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+        this.db.prepare('INSERT OR IGNORE INTO store_metadata (key, value) VALUES (?, ?)')
+            .run('created_at', new Date().toISOString());
+
+        // Databases created before per-sponsor settings existed
+        const columns = this.db.prepare('PRAGMA table_info(authorized_users)').all().map(column => column.name);
+        if (!columns.includes('settings')) {
+            this.db.exec('ALTER TABLE authorized_users ADD COLUMN settings TEXT');
+        }
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    rowToUser(row) {
+        return {
+            tokens_allocated: row.tokens_allocated,
+            tokens_used: row.tokens_used,
+            tokens_remaining: row.tokens_remaining,
+            email: row.email,
+            created_at: row.created_at,
+            last_used: row.last_used,
+            is_active: !!row.is_active,
+            notes: row.notes || '',
+            settings: row.settings ? JSON.parse(row.settings) : {}
+        };
+    }
+
+    touch() {
+        this.db.prepare('INSERT OR REPLACE INTO store_metadata (key, value) VALUES (?, ?)')
+            .run('last_updated', new Date().toISOString());
+    }
+
+    writeUser(username, user) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO authorized_users
+                (username, tokens_allocated, tokens_used, tokens_remaining, email, created_at, last_used, is_active, notes, settings)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            username,
+            user.tokens_allocated,
+            user.tokens_used,
+            user.tokens_remaining,
+            user.email || null,
+            user.created_at || new Date().toISOString(),
+            user.last_used || null,
+            user.is_active ? 1 : 0,
+            user.notes || '',
+            JSON.stringify(user.settings || {})
+        );
+        this.touch();
+    }
+
+    async getUser(username) {
+        const row = this.db.prepare('SELECT * FROM authorized_users WHERE username = ?').get(username);
+        return row ? this.rowToUser(row) : null;
+    }
+
+    async listUsers() {
+        const users = Object.create(null);
+        for (const row of this.db.prepare('SELECT * FROM authorized_users ORDER BY username').all()) {
+            users[row.username] = this.rowToUser(row);
+        }
+        return users;
+    }
+
+    async getMetadata() {
+        const meta = {};
+        for (const row of this.db.prepare('SELECT key, value FROM store_metadata').all()) {
+            meta[row.key] = row.value;
+        }
+        const totals = this.db.prepare(`
+            SELECT COUNT(*) AS total_users,
+                   COALESCE(SUM(tokens_allocated), 0) AS total_tokens_allocated,
+                   COALESCE(SUM(tokens_used), 0) AS total_tokens_used
+            FROM authorized_users
+        `).get();
+
+        return {
+            created_at: meta.created_at,
+            last_updated: meta.last_updated || meta.created_at,
+            ...totals
+        };
+    }
+
+    async insertUser(username, user) {
+        const insert = this.db.transaction(() => {
+            const exists = this.db.prepare('SELECT 1 FROM authorized_users WHERE username = ?').get(username);
+            if (exists) return false;
+            this.writeUser(username, user);
+            return true;
+        });
+        return insert.immediate();
+    }
+
+    async updateUser(username, mutator) {
+        const update = this.db.transaction(() => {
+            const row = this.db.prepare('SELECT * FROM authorized_users WHERE username = ?').get(username);
+            if (!row) return null;
+            const user = this.rowToUser(row);
+            mutator(user);
+            this.writeUser(username, user);
+            return user;
+        });
+        return update.immediate();
+    }
+
+    async consumeToken(username) {
+        const consume = this.db.transaction(() => {
+            const info = this.db.prepare(`
+                UPDATE authorized_users
+                SET tokens_used = tokens_used + 1,
+                    tokens_remaining = tokens_remaining - 1,
+                    last_used = ?
+                WHERE username = ? AND tokens_remaining > 0
+            `).run(new Date().toISOString(), username);
+            if (info.changes === 0) return null;
+            this.touch();
+            return this.rowToUser(this.db.prepare('SELECT * FROM authorized_users WHERE username = ?').get(username));
+        });
+        return consume.immediate();
+    }
+}
+
+module.exports = SqliteUserStore;
@@ -1,98 +1,174 @@
 const fs = require('fs');
-const path = require('path');
+const { createUserStore } = require('./stores');
 
-class UserManager {
-    constructor() {
-        this.dataFile = path.join(__dirname, '../data/authorized_users.json');
-        this.ensureDataFile();
+/**
+ * Thrown from an update mutator to abort the change (nothing is written)
+ */
+class UpdateRefused extends Error {}
+
+function isTokenCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+    if (/^(0|false|no|off)$/i.test(String(value))) return false;
+    return undefined;
+}
+
+function parseCommunity(value) {
+    return /^hive-\d{1,7}$/.test(String(value)) ? String(value) : undefined;
+}
+
+function parseTemplateName(value) {
+    // Existence is checked per request - templates can come from AUTHORITY_TEMPLATES_FILE
+    return /^[a-z0-9_-]{1,32}$/.test(String(value)) ? String(value) : undefined;
+}
+
+function parseTemplateList(value) {
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+    const parsed = names.map(parseTemplateName);
+    return parsed.includes(undefined) ? undefined : Array.from(new Set(parsed));
+}
+
+function parseWelcomeMemo(value) {
+    const memo = String(value).trim();
+    // A leading # would make wallets treat the memo as encrypted
+    return memo && memo.length <= 256 && !memo.startsWith('#') ? memo : undefined;
+}
+
+/**
+ * Per-sponsor settings (admin.js setting / admin API). Unset keys use `default`;
+ * parse() turns CLI/API input into the stored value (undefined = invalid).
+ */
+const SETTINGS = {
+    paid_creation: {
+        description: 'Allow a paid account_create (HIVE fee) when the faucet has no ACTs',
+        default: false,
+        parse: parseBoolean
+    },
+    authority_template: {
+        description: 'Authority template for new accounts (see `node admin.js templates`)',
+        default: 'default',
+        parse: parseTemplateName
+    },
+    allowed_templates: {
+        description: 'Other templates the sponsor\'s requests may pick in data.authority_template (comma-separated)',
+        default: [],
+        parse: parseTemplateList
+    },
+    onboard_profile: {
+        description: 'Set the new account\'s profile from request notes (picture, location, website, about)',
+        default: false,
+        parse: parseBoolean
+    },
+    onboard_community: {
+        description: 'Subscribe the new account to this community (hive-123456)',
+        default: null,
+        parse: parseCommunity
+    },
+    onboard_follow: {
+        description: 'Have the new account follow the sponsor',
+        default: false,
+        parse: parseBoolean
+    },
+    recovery_partner: {
+        description: 'Make the sponsor the recovery account of new accounts (change_recovery_account, effective after 30 days)',
+        default: false,
+        parse: parseBoolean
+    },
+    onboard_welcome: {
+        description: 'Welcome memo sent with a small transfer from the faucet ({username}, {sponsor} are filled in)',
+        default: null,
+        parse: parseWelcomeMemo
     }
+};
 
-    /**
-     * Ensure the data file exists
-     */
-    ensureDataFile() {
-        const dataDir = path.dirname(this.dataFile);
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
-        
-        if (!fs.existsSync(this.dataFile)) {
-            const initialData = {
-                authorized_users: {},
-                metadata: {
-                    created_at: new Date().toISOString(),
-                    last_updated: new Date().toISOString(),
-                    total_users: 0,
-                    total_tokens_allocated: 0,
-                    total_tokens_used: 0
-                }
-            };
-            this.saveData(initialData);
-        }
+/**
+ * Effective value of a sponsor setting
+ */
+function settingValue(user, key) {
+    const settings = (user && user.settings) || {};
+    return settings[key] !== undefined ? settings[key] : SETTINGS[key].default;
+}
+
+class UserManager {
+    constructor(options = {}) {
+        // Storage backend is pluggable (USER_STORE=json|sqlite|postgres)
+        this.store = options.store || createUserStore(options);
+        this.ready = null;
     }
 
     /**
-     * Load user data from JSON file
+     * Initialize the storage backend (idempotent, called lazily by every method).
+     * A failed init is not cached, so the next call tries again after an outage.
      */
-    loadData() {
-        try {
-            const data = fs.readFileSync(this.dataFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error loading user data:', error);
-            return null;
+    init() {
+        if (!this.ready) {
+            this.ready = Promise.resolve(this.store.init()).catch(error => {
+                this.ready = null;
+                throw error;
+            });
         }
+        return this.ready;
     }
 
     /**
-     * Save user data to JSON file
+     * Release storage resources (database connections)
      */
-    saveData(data) {
-        try {
-            data.metadata.last_updated = new Date().toISOString();
-            fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2), 'utf8');
-            return true;
-        } catch (error) {
-            console.error('Error saving user data:', error);
-            return false;
+    async close() {
+        if (this.ready) {
+            await this.store.close();
+            this.ready = null;
         }
     }
 
     /**
      * Check if a user is authorized and has tokens available
      */
-    checkAuthorization(username) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users) {
+    async checkAuthorization(username) {
+        let user;
+        try {
+            await this.init();
+            user = await this.store.getUser(username);
+        } catch (error) {
+            console.error('Error loading user data:', error);
             return { authorized: false, reason: 'Database error' };
         }
 
-        const user = data.authorized_users[username];
         if (!user) {
-            return { 
-                authorized: false, 
-                reason: 'User not found in authorized list' 
+            return {
+                authorized: false,
+                reason: 'User not found in authorized list'
             };
         }
 
         if (!user.is_active) {
-            return { 
-                authorized: false, 
-                reason: 'User account is deactivated' 
+            return {
+                authorized: false,
+                reason: 'User account is deactivated',
+                is_active: false,
+                tokens_remaining: user.tokens_remaining
             };
         }
 
         if (user.tokens_remaining <= 0) {
-            return { 
-                authorized: false, 
+            return {
+                authorized: false,
                 reason: 'No tokens remaining',
+                is_active: true,
+                tokens_remaining: 0,
                 tokens_used: user.tokens_used,
                 tokens_allocated: user.tokens_allocated
             };
         }
 
-        return { 
-            authorized: true, 
+        return {
+            authorized: true,
+            is_active: true,
             tokens_remaining: user.tokens_remaining,
             tokens_used: user.tokens_used,
             tokens_allocated: user.tokens_allocated,
@@ -102,145 +178,246 @@ class UserManager {
 
     /**
      * Use a token for a user (when account is successfully created)
+     * The decrement is atomic in every backend, so it can never go below zero.
      */
-    useToken(username) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users[username]) {
-            return false;
-        }
-
-        const user = data.authorized_users[username];
-        if (user.tokens_remaining <= 0) {
+    async useToken(username) {
+        try {
+            await this.init();
+            const user = await this.store.consumeToken(username);
+            return !!user;
+        } catch (error) {
+            console.error('Error saving user data:', error);
             return false;
         }
-
-        user.tokens_used += 1;
-        user.tokens_remaining -= 1;
-        user.last_used = new Date().toISOString();
-        
-        // Update metadata
-        data.metadata.total_tokens_used += 1;
-
-        return this.saveData(data);
     }
 
     /**
      * Add a new authorized user
      */
-    addUser(username, tokens = 5, email = null, notes = '') {
-        const data = this.loadData();
-        if (!data) return false;
-
-        if (data.authorized_users[username]) {
-            return { success: false, message: 'User already exists' };
+    async addUser(username, tokens = 5, email = null, notes = '') {
+        if (!isTokenCount(tokens)) {
+            return { success: false, message: 'Tokens must be a non-negative integer' };
         }
+        try {
+            await this.init();
+            const inserted = await this.store.insertUser(username, {
+                tokens_allocated: tokens,
+                tokens_used: 0,
+                tokens_remaining: tokens,
+                email: email,
+                created_at: new Date().toISOString(),
+                last_used: null,
+                is_active: true,
+                notes: notes,
+                settings: {}
+            });
 
-        data.authorized_users[username] = {
-            tokens_allocated: tokens,
-            tokens_used: 0,
-            tokens_remaining: tokens,
-            email: email,
-            created_at: new Date().toISOString(),
-            last_used: null,
-            is_active: true,
-            notes: notes
-        };
-
-        // Update metadata
-        data.metadata.total_users += 1;
-        data.metadata.total_tokens_allocated += tokens;
+            if (!inserted) {
+                return { success: false, message: 'User already exists' };
+            }
+            return { success: true, message: `User ${username} added with ${tokens} tokens` };
+        } catch (error) {
+            console.error('Error saving user data:', error);
+            return { success: false, message: 'Failed to save' };
+        }
+    }
 
-        const saved = this.saveData(data);
-        return { 
-            success: saved, 
-            message: saved ? `User ${username} added with ${tokens} tokens` : 'Failed to save'
-        };
+    /**
+     * Apply a change to a single user under the store's row lock
+     */
+    async updateUser(username, mutator) {
+        try {
+            await this.init();
+            const user = await this.store.updateUser(username, mutator);
+            if (!user) {
+                return { success: false, message: 'User not found' };
+            }
+            return { success: true, user };
+        } catch (error) {
+            if (error instanceof UpdateRefused) {
+                return { success: false, message: error.message };
+            }
+            console.error('Error saving user data:', error);
+            return { success: false, message: 'Failed to save' };
+        }
     }
 
     /**
      * Give tokens to a user
      */
-    giveTokens(username, additionalTokens) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users[username]) {
-            return { success: false, message: 'User not found' };
+    async giveTokens(username, additionalTokens) {
+        if (!isTokenCount(additionalTokens) || additionalTokens === 0) {
+            return { success: false, message: 'Tokens to give must be a positive integer' };
         }
+        const result = await this.updateUser(username, user => {
+            user.tokens_allocated += additionalTokens;
+            user.tokens_remaining += additionalTokens;
+        });
+        if (!result.success) return result;
 
-        const user = data.authorized_users[username];
-        user.tokens_allocated += additionalTokens;
-        user.tokens_remaining += additionalTokens;
+        return {
+            success: true,
+            message: `Added ${additionalTokens} tokens to ${username}. New total: ${result.user.tokens_allocated}`
+        };
+    }
 
-        // Update metadata
-        data.metadata.total_tokens_allocated += additionalTokens;
+    /**
+     * Set user token allocation (never below what the user has already used)
+     */
+    async setTokens(username, newTotal) {
+        if (!isTokenCount(newTotal)) {
+            return { success: false, message: 'Tokens must be a non-negative integer' };
+        }
+        const result = await this.updateUser(username, user => {
+            if (newTotal < user.tokens_used) {
+                throw new UpdateRefused(`${username} has already used ${user.tokens_used} tokens - cannot set total to ${newTotal}`);
+            }
+            user.tokens_allocated = newTotal;
+            user.tokens_remaining = newTotal - user.tokens_used;
+        });
+        if (!result.success) return result;
 
-        const saved = this.saveData(data);
-        return { 
-            success: saved, 
-            message: saved ? `Added ${additionalTokens} tokens to ${username}. New total: ${user.tokens_allocated}` : 'Failed to save'
+        return {
+            success: true,
+            message: `Set ${username} tokens to ${newTotal}. Remaining: ${result.user.tokens_remaining}`
         };
     }
 
     /**
-     * Set user token allocation
+     * Set (or with value null/'default', reset) one per-sponsor setting
      */
-    setTokens(username, newTotal) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users[username]) {
-            return { success: false, message: 'User not found' };
+    async setUserSetting(username, key, value) {
+        const setting = SETTINGS[key];
+        if (!setting) {
+            return { success: false, message: `Unknown setting "${key}" (available: ${Object.keys(SETTINGS).join(', ')})` };
         }
 
-        const user = data.authorized_users[username];
-        const difference = newTotal - user.tokens_allocated;
-        
-        user.tokens_allocated = newTotal;
-        user.tokens_remaining = newTotal - user.tokens_used;
+        const reset = value === null || value === undefined || value === 'default';
+        const parsed = reset ? undefined : setting.parse(value);
+        if (!reset && parsed === undefined) {
+            return { success: false, message: `Invalid value for ${key}: ${value}` };
+        }
 
-        // Update metadata
-        data.metadata.total_tokens_allocated += difference;
+        const result = await this.updateUser(username, user => {
+            const settings = { ...(user.settings || {}) };
+            if (reset) delete settings[key];
+            else settings[key] = parsed;
+            user.settings = settings;
+        });
+        if (!result.success) return result;
 
-        const saved = this.saveData(data);
-        return { 
-            success: saved, 
-            message: saved ? `Set ${username} tokens to ${newTotal}. Remaining: ${user.tokens_remaining}` : 'Failed to save'
+        return {
+            success: true,
+            message: `${username}: ${key} = ${JSON.stringify(settingValue(result.user, key))}${reset ? ' (default)' : ''}`,
+            settings: result.user.settings
         };
     }
 
     /**
      * Deactivate/activate a user
      */
-    setUserStatus(username, isActive) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users[username]) {
-            return { success: false, message: 'User not found' };
-        }
+    async setUserStatus(username, isActive) {
+        const result = await this.updateUser(username, user => {
+            user.is_active = isActive;
+        });
+        if (!result.success) return result;
 
-        data.authorized_users[username].is_active = isActive;
-        const saved = this.saveData(data);
-        return { 
-            success: saved, 
-            message: saved ? `User ${username} ${isActive ? 'activated' : 'deactivated'}` : 'Failed to save'
+        return {
+            success: true,
+            message: `User ${username} ${isActive ? 'activated' : 'deactivated'}`
         };
     }
 
     /**
      * Get all users
      */
-    getAllUsers() {
-        const data = this.loadData();
+    async getAllUsers() {
+        try {
+            await this.init();
+            return {
+                authorized_users: await this.store.listUsers(),
+                metadata: await this.store.getMetadata()
+            };
+        } catch (error) {
+            console.error('Error loading user data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Aggregate statistics across all users (shared by admin.js and the admin API)
+     */
+    async getStats() {
+        const data = await this.getAllUsers();
         if (!data) return null;
-        return data;
+
+        const users = Object.values(data.authorized_users);
+        return {
+            total_users: data.metadata.total_users,
+            active_users: users.filter(u => u.is_active).length,
+            inactive_users: users.filter(u => !u.is_active).length,
+            users_with_tokens: users.filter(u => u.tokens_remaining > 0).length,
+            total_tokens_allocated: data.metadata.total_tokens_allocated,
+            total_tokens_used: data.metadata.total_tokens_used,
+            tokens_remaining: data.metadata.total_tokens_allocated - data.metadata.total_tokens_used,
+            created_at: data.metadata.created_at,
+            last_updated: data.metadata.last_updated
+        };
     }
 
     /**
      * Get user info
      */
-    getUser(username) {
-        const data = this.loadData();
-        if (!data || !data.authorized_users[username]) {
+    async getUser(username) {
+        try {
+            await this.init();
+            return await this.store.getUser(username);
+        } catch (error) {
+            console.error('Error loading user data:', error);
             return null;
         }
-        return data.authorized_users[username];
+    }
+
+    /**
+     * Import users from a legacy authorized_users.json file into the active store.
+     * Existing usernames are skipped unless overwrite is set.
+     */
+    async importFromJson(filePath, { overwrite = false } = {}) {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const users = raw.authorized_users || {};
+        const summary = { imported: 0, updated: 0, skipped: 0 };
+
+        await this.init();
+        for (const [username, user] of Object.entries(users)) {
+            const record = {
+                tokens_allocated: user.tokens_allocated || 0,
+                tokens_used: user.tokens_used || 0,
+                tokens_remaining: typeof user.tokens_remaining === 'number'
+                    ? user.tokens_remaining
+                    : (user.tokens_allocated || 0) - (user.tokens_used || 0),
+                email: user.email || null,
+                created_at: user.created_at || new Date().toISOString(),
+                last_used: user.last_used || null,
+                is_active: user.is_active !== false,
+                notes: user.notes || '',
+                settings: user.settings || {}
+            };
+
+            if (await this.store.insertUser(username, record)) {
+                summary.imported++;
+            } else if (overwrite) {
+                await this.store.updateUser(username, existing => Object.assign(existing, record));
+                summary.updated++;
+            } else {
+                summary.skipped++;
+            }
+        }
+
+        return summary;
     }
 }
 
+UserManager.SETTINGS = SETTINGS;
+UserManager.settingValue = settingValue;
+
 module.exports = UserManager;
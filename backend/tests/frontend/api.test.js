@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBrowserScripts } = require('../helpers/browser-script');
+
+const { apiClient } = loadBrowserScripts('api.js', {
+    FORCE_REAL_API: true,
+    sessionStorage: { getItem: () => null, setItem() {}, removeItem() {} }
+});
+
+/**
+ * Answer checkRequestStatus from a script of responses (Error entries are thrown)
+ */
+function scriptStatuses(responses) {
+    const calls = [];
+    apiClient.checkRequestStatus = async requestId => {
+        calls.push(requestId);
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return next;
+    };
+    return calls;
+}
+
+test('pollRequestStatus reports progress until the request completes', async () => {
+    const calls = scriptStatuses([
+        { status: 'pending', message: 'Waiting' },
+        new Error('network down'),
+        { status: 'processing', message: 'Creating' },
+        { status: 'completed', message: 'Account created successfully', accountName: 'newbie' }
+    ]);
+    const updates = [];
+
+    const result = await apiClient.pollRequestStatus('req_1', update => updates.push(update.status), 10, 1);
+    assert.strictEqual(result.accountName, 'newbie');
+    assert.deepStrictEqual(updates, ['pending', 'processing', 'completed']);
+    assert.deepStrictEqual(calls, ['req_1', 'req_1', 'req_1', 'req_1']);
+});
+
+test('pollRequestStatus stops at a failed request instead of retrying', async () => {
+    const calls = scriptStatuses([
+        { status: 'failed', message: 'Request rejected: Invalid request format' },
+        { status: 'completed' }
+    ]);
+
+    await assert.rejects(apiClient.pollRequestStatus('req_2', null, 10, 1), /Invalid request format/);
+    assert.strictEqual(calls.length, 1);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { loadBrowserScripts } = require('../helpers/browser-script');
+
+const { formValidator } = loadBrowserScripts('validation.js');
+
+function usernameResult(username) {
+    return formValidator.validateHiveUsername(username);
+}
+
+test('validateHiveUsername accepts valid Hive names', () => {
+    for (const name of ['abc', 'alice', 'bob-smith', 'user123', 'a1b2c3', 'alice.bob', 'my-name.web3', 'abcdefghijklmnop']) {
+        const result = usernameResult(name);
+        assert.strictEqual(result.isValid, true, `${name}: ${result.message}`);
+    }
+});
+
+test('validateHiveUsername trims and lowercases before checking', () => {
+    assert.strictEqual(usernameResult('  Alice ').isValid, true);
+});
+
+test('validateHiveUsername enforces 3-16 characters', () => {
+    assert.match(usernameResult('').message, /required/);
+    assert.match(usernameResult(null).message, /required/);
+    assert.match(usernameResult('ab').message, /at least 3/);
+    assert.match(usernameResult('abcdefghijklmnopq').message, /longer than 16/);
+});
+
+test('validateHiveUsername rejects characters outside a-z, 0-9, hyphen and dot', () => {
+    for (const name of ['ali_ce', 'alice!', 'ali ce', 'alíce']) {
+        assert.match(usernameResult(name).message, /can only contain/, name);
+    }
+});
+
+test('validateHiveUsername requires every segment to start with a letter', () => {
+    assert.match(usernameResult('1alice').message, /start with a letter/);
+    assert.match(usernameResult('alice.2bob').message, /start with a letter/);
+});
+
+test('validateHiveUsername rejects leading, trailing and doubled hyphens', () => {
+    assert.match(usernameResult('-alice').message, /hyphen/);
+    assert.match(usernameResult('alice-').message, /hyphen/);
+    assert.match(usernameResult('alice-.bob').message, /hyphen/);
+    assert.match(usernameResult('ali--ce').message, /consecutive hyphens/);
+});
+
+test('validateHiveUsername requires dot-separated segments of 3+ characters', () => {
+    for (const name of ['ab.alice', 'alice.ab', 'alice..bob', '.alice', 'alice.']) {
+        assert.match(usernameResult(name).message, /at least 3 characters/, name);
+    }
+});
+
+test('validateHiveUsername rejects reserved names', () => {
+    for (const name of ['hiveuser', 'steemit', 'admin1', 'system', 'null', 'test', 'api', 'www', 'blog', 'wallet']) {
+        assert.match(usernameResult(name).message, /reserved/, name);
+    }
+    // Only exact matches for the short reserved words
+    assert.strictEqual(usernameResult('tester').isValid, true);
+});
+
+test('validateEmail accepts addresses and rejects malformed ones', () => {
+    assert.strictEqual(formValidator.validateEmail('ops@example.com').isValid, true);
+    assert.strictEqual(formValidator.validateEmail('ops@example').isValid, false);
+    assert.strictEqual(formValidator.validateEmail('').isValid, false);
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Frontend scripts served by the static site (index.html)
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', '..', 'scripts');
+
+/**
+ * Minimal DOM surface the frontend scripts touch while loading
+ */
+function stubDocument() {
+    return {
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: () => {},
+        createElement: () => ({ style: {}, classList: { add() {}, remove() {} }, appendChild() {}, setAttribute() {} })
+    };
+}
+
+/**
+ * Run frontend scripts (e.g. 'validation.js') headlessly in a fresh sandbox and
+ * return its `window`, with whatever globals the scripts attached to it.
+ */
+function loadBrowserScripts(names, globals = {}) {
+    const sandbox = {
+        console,
+        setTimeout,
+        clearTimeout,
+        document: stubDocument(),
+        location: { hostname: 'localhost', href: 'http://localhost/' },
+        ...globals
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    for (const name of [].concat(names)) {
+        const file = path.join(SCRIPTS_DIR, name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+module.exports = { loadBrowserScripts, SCRIPTS_DIR };
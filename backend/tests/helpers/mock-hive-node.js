@@ -0,0 +1,352 @@
+const http = require('http');
+const crypto = require('crypto');
+const { cryptoUtils, Signature } = require('@hiveio/dhive');
+
+/**
+ * Local JSON-RPC stand-in for a Hive API node (integration tests).
+ * Serves what dhive and hive-js call during the faucet flow
+ * (get_dynamic_global_properties, get_block, get_block_header, get_accounts,
+ * get_chain_properties, broadcast_transaction[_synchronous],
+ * block_api.get_block_range, rc_api.find_rc_accounts) from
+ * in-memory chain state that tests script block by block.
+ */
+class MockHiveNode {
+    constructor(options = {}) {
+        this.irreversibleLag = options.irreversibleLag || 0;
+        this.claimCost = options.claimCost || 1e13;
+        this.accountCreationFee = options.accountCreationFee || '3.000 HIVE';
+        // 100 VESTS per HIVE: the minimum delegation is 10 fees = 3000 VESTS
+        this.totalVestingFund = options.totalVestingFund || '100000.000 HIVE';
+        this.totalVestingShares = options.totalVestingShares || '10000000.000000 VESTS';
+        // Methods answered with "method not found", like nodes without block_api
+        this.disabledMethods = new Set(options.disabledMethods || []);
+        this.calls = new Map();
+        this.rc = new Map();
+        this.blocks = new Map();
+        this.accounts = new Map();
+        this.broadcasts = [];
+        this.failures = [];
+        this.drops = [];
+        this.server = null;
+        this.url = null;
+
+        // Some history so the monitor has a head to start from
+        this.headBlock = 0;
+        for (let i = 0; i < (options.initialBlocks || 10); i++) this.produceBlock();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleHttp(req, res));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    // --- scripting -------------------------------------------------------
+
+    addAccount(name, fields = {}) {
+        const account = {
+            name,
+            owner: authority(fields.ownerPublic),
+            active: authority(fields.activePublic),
+            posting: authority(fields.postingPublic),
+            memo_key: fields.memoPublic || 'STM1111111111111111111111111111111114T1Anm',
+            balance: fields.balance || '0.000 HIVE',
+            hbd_balance: fields.hbd_balance || '0.000 HBD',
+            vesting_shares: fields.vesting_shares || '0.000000 VESTS',
+            received_vesting_shares: '0.000000 VESTS',
+            pending_claimed_accounts: fields.pending_claimed_accounts || 0,
+            created: timestamp(new Date()),
+            ...fields.extra
+        };
+        this.accounts.set(name, account);
+        return account;
+    }
+
+    /**
+     * Give `name` RC mana (full manabar of `max`, currently at `mana`)
+     */
+    setRc(name, mana, max = mana) {
+        this.rc.set(name, { mana, max });
+    }
+
+    /**
+     * Append a block containing `transactions` ([{ operations }]) and return its number
+     */
+    produceBlock(transactions = []) {
+        const number = ++this.headBlock;
+        const previous = number > 1 ? this.blocks.get(number - 1).block_id : '0'.repeat(40);
+        const txs = transactions.map(tx => ({
+            ref_block_num: 0,
+            ref_block_prefix: 0,
+            expiration: timestamp(new Date(Date.now() + 60000)),
+            extensions: [],
+            signatures: [],
+            ...tx,
+            transaction_id: tx.transaction_id || randomHex(40),
+            block_num: number
+        }));
+
+        this.blocks.set(number, {
+            previous,
+            timestamp: timestamp(new Date()),
+            witness: 'mockwitness',
+            transaction_merkle_root: '0'.repeat(40),
+            extensions: [],
+            witness_signature: '',
+            block_id: number.toString(16).padStart(8, '0') + randomHex(32),
+            transactions: txs,
+            transaction_ids: txs.map(tx => tx.transaction_id)
+        });
+        return number;
+    }
+
+    /**
+     * Put a faucet custom_json request from `requester` on chain; returns { transactionId, blockNumber }
+     */
+    pushFaucetRequest(requester, data, overrides = {}) {
+        const json = {
+            app: 'hive_account_faucet',
+            version: '1.0.0',
+            action: 'create_account_request',
+            data: { timestamp: new Date().toISOString(), ...data },
+            ...overrides
+        };
+        const transactionId = randomHex(40);
+        const blockNumber = this.produceBlock([{
+            transaction_id: transactionId,
+            operations: [['custom_json', {
+                required_auths: [],
+                required_posting_auths: [requester],
+                id: 'hive_account_faucet',
+                json: JSON.stringify(json)
+            }]]
+        }]);
+        return { transactionId, blockNumber };
+    }
+
+    /**
+     * Make the next broadcast containing `operationName` fail with `message`
+     */
+    failNextBroadcast(operationName, message = 'mock broadcast failure') {
+        this.failures.push({ operationName, message });
+    }
+
+    /**
+     * Apply the next broadcast containing `operationName`, then drop the connection
+     * before replying (the client cannot tell whether it went through)
+     */
+    dropNextBroadcastReply(operationName) {
+        this.drops.push(operationName);
+    }
+
+    /**
+     * Public keys that signed a broadcast transaction
+     */
+    signersOf(transaction) {
+        const digest = cryptoUtils.transactionDigest(transaction);
+        return transaction.signatures.map(signature => Signature.fromString(signature).recover(digest).toString());
+    }
+
+    broadcastsOf(operationName) {
+        return this.broadcasts
+            .flatMap(tx => tx.operations)
+            .filter(([name]) => name === operationName)
+            .map(([, op]) => op);
+    }
+
+    // --- JSON-RPC --------------------------------------------------------
+
+    handleHttp(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch {
+                return this.reply(res, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+            }
+
+            try {
+                const result = this.dispatch(request.method, request.params);
+                if (result && result.dropReply) return req.socket.destroy();
+                this.reply(res, { jsonrpc: '2.0', id: request.id, result });
+            } catch (error) {
+                this.reply(res, {
+                    jsonrpc: '2.0',
+                    id: request.id,
+                    error: { code: error.code || -32000, message: error.message, data: { code: 10, name: 'assert_exception', message: error.message, stack: [] } }
+                });
+            }
+        });
+    }
+
+    reply(res, payload) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(payload));
+    }
+
+    dispatch(method, params) {
+        // Legacy "call" form: { method: 'call', params: [api, method, args] }
+        if (method === 'call') return this.dispatch(`${params[0]}.${params[1]}`, params[2]);
+
+        const name = method.split('.').pop();
+        this.calls.set(name, (this.calls.get(name) || 0) + 1);
+        if (this.disabledMethods.has(name)) {
+            throw Object.assign(new Error(`Could not find method ${name}`), { code: -32601 });
+        }
+        switch (name) {
+            case 'get_dynamic_global_properties':
+                return this.globalProperties();
+            case 'get_block':
+                return this.blocks.get(firstParam(params, 'block_num')) || null;
+            case 'get_block_header': {
+                const block = this.blocks.get(firstParam(params, 'block_num'));
+                return block ? { previous: block.previous, timestamp: block.timestamp, witness: block.witness } : null;
+            }
+            case 'get_block_range': {
+                const blocks = [];
+                for (let n = params.starting_block_num; n < params.starting_block_num + params.count; n++) {
+                    if (!this.blocks.has(n)) break;
+                    blocks.push(this.blocks.get(n));
+                }
+                return { blocks };
+            }
+            case 'get_chain_properties':
+                return { account_creation_fee: this.accountCreationFee, maximum_block_size: 65536, hbd_interest_rate: 2000 };
+            case 'get_accounts':
+                return (params[0] || []).map(n => this.accounts.get(n)).filter(Boolean);
+            case 'find_rc_accounts':
+                return {
+                    rc_accounts: params.accounts.filter(n => this.accounts.has(n)).map(n => {
+                        const rc = this.rc.get(n) || { mana: 0, max: 0 };
+                        return {
+                            account: n,
+                            max_rc: String(rc.max),
+                            rc_manabar: { current_mana: String(rc.mana), last_update_time: Math.floor(Date.now() / 1000) }
+                        };
+                    })
+                };
+            case 'broadcast_transaction':
+            case 'broadcast_transaction_synchronous':
+                return this.broadcast(Array.isArray(params) ? params[0] : params.trx);
+            default:
+                throw Object.assign(new Error(`Unknown method ${method}`), { code: -32601 });
+        }
+    }
+
+    globalProperties() {
+        const head = this.blocks.get(this.headBlock);
+        return {
+            head_block_number: this.headBlock,
+            head_block_id: head.block_id,
+            time: head.timestamp,
+            last_irreversible_block_num: Math.max(this.headBlock - this.irreversibleLag, 1),
+            total_vesting_fund_hive: this.totalVestingFund,
+            total_vesting_shares: this.totalVestingShares
+        };
+    }
+
+    /**
+     * Apply a signed transaction to the mock state and include it in a new block
+     */
+    broadcast(transaction) {
+        const names = transaction.operations.map(([name]) => name);
+        const failure = this.failures.findIndex(f => names.includes(f.operationName));
+        if (failure !== -1) {
+            const { message } = this.failures.splice(failure, 1)[0];
+            throw new Error(message);
+        }
+
+        for (const [name, op] of transaction.operations) {
+            if (name === 'delegate_vesting_shares') {
+                const delegatee = this.accounts.get(op.delegatee);
+                if (!delegatee) throw new Error(`Account ${op.delegatee} does not exist`);
+                const vests = parseFloat(op.vesting_shares);
+                const minimum = parseFloat(this.accountCreationFee) * 10 * parseFloat(this.totalVestingShares) / parseFloat(this.totalVestingFund);
+                if (vests !== 0 && vests < minimum) {
+                    throw new Error(`Account must delegate a minimum of ${minimum.toFixed(6)} VESTS`);
+                }
+                delegatee.received_vesting_shares = op.vesting_shares;
+            }
+            if (name === 'claim_account') {
+                const rc = this.rc.get(op.creator) || { mana: 0, max: 0 };
+                if (rc.mana < this.claimCost) {
+                    throw new Error(`Account: ${op.creator} has ${rc.mana} RC, needs ${this.claimCost} RC`);
+                }
+                rc.mana -= this.claimCost;
+                this.accounts.get(op.creator).pending_claimed_accounts++;
+            }
+            if (name === 'create_claimed_account' || name === 'account_create') {
+                if (this.accounts.has(op.new_account_name)) {
+                    throw new Error(`Account name ${op.new_account_name} already exists`);
+                }
+                const creator = this.accounts.get(op.creator);
+                if (name === 'account_create') {
+                    if (op.fee !== this.accountCreationFee) {
+                        throw new Error(`Fee ${op.fee} does not match account creation fee ${this.accountCreationFee}`);
+                    }
+                    const balance = amount(creator.balance) - amount(op.fee);
+                    if (balance < 0) throw new Error(`Account ${op.creator} does not have sufficient funds for fee`);
+                    creator.balance = `${balance.toFixed(3)} HIVE`;
+                } else {
+                    if (!creator || !creator.pending_claimed_accounts) {
+                        throw new Error(`${op.creator} has no claimed accounts to create`);
+                    }
+                    creator.pending_claimed_accounts--;
+                }
+                this.accounts.set(op.new_account_name, {
+                    ...this.addAccount(op.new_account_name, { memoPublic: op.memo_key }),
+                    owner: op.owner,
+                    active: op.active,
+                    posting: op.posting,
+                    json_metadata: op.json_metadata
+                });
+            }
+        }
+
+        this.broadcasts.push(transaction);
+        const id = crypto.createHash('sha256').update(JSON.stringify(transaction)).digest('hex').substring(0, 40);
+        const blockNumber = this.produceBlock([{ ...transaction, transaction_id: id }]);
+
+        const drop = this.drops.findIndex(operationName => names.includes(operationName));
+        if (drop !== -1) {
+            this.drops.splice(drop, 1);
+            return { dropReply: true };
+        }
+        return { id, block_num: blockNumber, trx_num: 0, expired: false };
+    }
+}
+
+function authority(publicKey) {
+    return {
+        weight_threshold: 1,
+        account_auths: [],
+        key_auths: publicKey ? [[publicKey, 1]] : []
+    };
+}
+
+function amount(asset) {
+    return parseFloat(String(asset).split(' ')[0]);
+}
+
+function firstParam(params, key) {
+    return Array.isArray(params) ? params[0] : params[key];
+}
+
+function timestamp(date) {
+    return date.toISOString().substring(0, 19);
+}
+
+function randomHex(length) {
+    return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').substring(0, length);
+}
+
+module.exports = MockHiveNode;
@@ -0,0 +1,834 @@
+/**
+ * End-to-end runs of BlockchainMonitor against a local mock Hive node.
+ * Each test gets its own data directory and sponsor file; nothing touches
+ * backend/data or a public node.
+ *
+ *   npm run test:integration
+ */
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PrivateKey } = require('@hiveio/dhive');
+
+const MockHiveNode = require('../helpers/mock-hive-node');
+
+const FAUCET = 'faucet';
+const SPONSOR = 'sponsor';
+const faucetActive = PrivateKey.fromSeed('faucet-active-test');
+const faucetMemo = PrivateKey.fromSeed('faucet-memo-test');
+const sponsorMemo = PrivateKey.fromSeed('sponsor-memo-test');
+
+Object.assign(process.env, {
+    CREATING_ACCOUNT_USERNAME: FAUCET,
+    CREATING_ACCOUNT_ACTIVE_KEY: faucetActive.toString(),
+    CREATING_ACCOUNT_MEMO_KEY: faucetMemo.toString(),
+    ENCRYPTION_SECRET: 'integration-test-secret',
+    BLOCK_MODE: 'head',
+    FAUCET_DRY_RUN: '',
+    USER_STORE: 'json',
+    DELIVERY_RETRY_INTERVAL: '3600',
+    NODE_HEALTH_INTERVAL: '3600',
+    ACT_CHECK_INTERVAL: '3600',
+    ACT_CLAIM_THRESHOLD: '3',
+    EMAIL_USER: '',
+    EMAIL_PASS: ''
+});
+
+// Required after the environment is in place (constructor reads it)
+const BlockchainMonitor = require('../../services/blockchain-monitor');
+const UserManager = require('../../services/user-manager');
+const EmailService = require('../../services/email-service');
+const BlockReplayer = require('../../services/block-replayer');
+const { STATES } = require('../../services/request-ledger');
+
+let node;
+let dataDir;
+let monitors;
+let consoleLog;
+
+beforeEach(async () => {
+    // The monitor narrates every step; keep test output readable
+    consoleLog = console.log;
+    console.log = () => {};
+
+    node = new MockHiveNode();
+    await node.start();
+    node.addAccount(FAUCET, {
+        activePublic: faucetActive.createPublic().toString(),
+        memoPublic: faucetMemo.createPublic().toString(),
+        hbd_balance: '10.000 HBD',
+        pending_claimed_accounts: 5
+    });
+    node.addAccount(SPONSOR, { memoPublic: sponsorMemo.createPublic().toString() });
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-it-'));
+    monitors = [];
+});
+
+afterEach(async () => {
+    for (const monitor of monitors) monitor.stop();
+    // Let the stream loops notice isRunning=false
+    await delay(50);
+    await node.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log = consoleLog;
+});
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, what, timeout = 10000) {
+    const started = Date.now();
+    while (Date.now() - started < timeout) {
+        const value = await condition();
+        if (value) return value;
+        await delay(20);
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+/**
+ * Monitor wired to the mock node and the test's data directory, with short sleeps
+ */
+function createMonitor() {
+    const monitor = new BlockchainMonitor({
+        dataDir,
+        nodes: [node.url],
+        userManager: new UserManager({ type: 'json', dataFile: path.join(dataDir, 'authorized_users.json') })
+    });
+    monitor.sleep = () => delay(10);
+    monitors.push(monitor);
+    return monitor;
+}
+
+async function startMonitor(monitor) {
+    monitor.start();
+    await waitFor(() => monitor.lastProcessedBlock > 0 && monitor.retrier.timer, 'monitor start');
+    return monitor;
+}
+
+function requestFrom(requester, username, deliveryMethod = 'hive_memo', notes = '') {
+    return node.pushFaucetRequest(requester, { requested_username: username, delivery_method: deliveryMethod, notes });
+}
+
+function ledgerState(monitor, transactionId) {
+    const entry = monitor.ledger.getRequest(transactionId);
+    return entry ? entry.state : null;
+}
+
+function waitForState(monitor, transactionId, state) {
+    return waitFor(() => ledgerState(monitor, transactionId) === state, `ledger state ${state}`);
+}
+
+test('valid request: account is created, memo delivered and one token used', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+
+    const account = node.accounts.get('newbie');
+    assert.ok(account, 'account exists on the mock chain');
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 1);
+
+    const [transfer] = node.broadcastsOf('transfer');
+    assert.strictEqual(transfer.from, FAUCET);
+    assert.strictEqual(transfer.to, SPONSOR);
+    assert.strictEqual(transfer.amount, '0.001 HBD');
+    assert.ok(transfer.memo.startsWith('#'), 'memo is encrypted');
+    assert.ok(!transfer.memo.includes('newbie'), 'memo has no plain text');
+
+    const user = await monitor.userManager.getUser(SPONSOR);
+    assert.strictEqual(user.tokens_used, 1);
+    assert.strictEqual(user.tokens_remaining, 2);
+    assert.deepStrictEqual(monitor.recovery.loadPending(), []);
+});
+
+test('unauthorized sponsor: request is rejected without broadcasting', async () => {
+    const monitor = await startMonitor(createMonitor());
+
+    const { transactionId } = requestFrom('stranger', 'newbie');
+    await waitForState(monitor, transactionId, STATES.REJECTED);
+
+    assert.match(monitor.ledger.getRequest(transactionId).reason, /not found in authorized list/);
+    assert.strictEqual(node.broadcasts.length, 0);
+    assert.ok(!node.accounts.has('newbie'));
+});
+
+test('invalid format: the rejection keeps the client request_id for status polling', async () => {
+    const monitor = await startMonitor(createMonitor());
+
+    const { transactionId } = node.pushFaucetRequest(SPONSOR, { requested_username: 'newbie', request_id: 'req_123_abc' });
+    await waitForState(monitor, transactionId, STATES.REJECTED);
+
+    const request = monitor.ledger.findRequest('req_123_abc');
+    assert.strictEqual(request.transactionId, transactionId);
+    assert.strictEqual(request.reason, 'Invalid request format');
+});
+
+test('taken username: request is rejected and no token is used', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    node.addAccount('taken');
+    await startMonitor(monitor);
+
+    const { transactionId } = requestFrom(SPONSOR, 'taken');
+    await waitForState(monitor, transactionId, STATES.REJECTED);
+
+    assert.match(monitor.ledger.getRequest(transactionId).reason, /already taken/);
+    assert.strictEqual(node.broadcasts.length, 0);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 0);
+    assert.deepStrictEqual(monitor.recovery.loadPending(), []);
+});
+
+test('several requests in one transaction are each processed and recorded once', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    const request = username => ['custom_json', {
+        required_auths: [],
+        required_posting_auths: [SPONSOR],
+        id: 'hive_account_faucet',
+        json: JSON.stringify({
+            app: 'hive_account_faucet',
+            version: '1.0.0',
+            action: 'create_account_request',
+            data: { requested_username: username, delivery_method: 'hive_memo', timestamp: new Date().toISOString() }
+        })
+    }];
+    const transactionId = 'ab'.repeat(20);
+    const blockNumber = node.produceBlock([{ transaction_id: transactionId, operations: [request('first'), request('second')] }]);
+
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+    await waitForState(monitor, `${transactionId}:1`, STATES.DELIVERED);
+    assert.deepStrictEqual(node.broadcastsOf('create_claimed_account').map(op => op.new_account_name), ['first', 'second']);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 2);
+
+    // A re-scan of the block (restart before the checkpoint) skips both
+    await monitor.processBlock(node.blocks.get(blockNumber), blockNumber);
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 2);
+});
+
+test('replay: a block range is scanned and only requests the monitor never handled are re-run', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    const replayer = new BlockReplayer(monitor);
+
+    const outside = requestFrom(SPONSOR, 'outside');
+    const fresh = requestFrom(SPONSOR, 'fresh');
+    node.addAccount('taken');
+    const taken = requestFrom(SPONSOR, 'taken');
+    const queued = requestFrom(SPONSOR, 'queued');
+    monitor.recovery.addPending({ username: 'queued', requester: SPONSOR, stage: 'creating', transactionId: queued.transactionId });
+    const refused = requestFrom(SPONSOR, 'refused');
+    monitor.ledger.record(refused.transactionId, STATES.REJECTED, { reason: 'sponsor was out of tokens' });
+    const halfway = requestFrom(SPONSOR, 'halfway');
+    monitor.ledger.record(halfway.transactionId, STATES.AUTHORIZED, {});
+    const broken = node.pushFaucetRequest(SPONSOR, { requested_username: 'broken' });
+
+    const plan = await replayer.scan(fresh.blockNumber, broken.blockNumber);
+    const byTransaction = new Map(plan.map(item => [item.transactionId, item]));
+    assert.strictEqual(plan.length, 6);
+    assert.ok(!byTransaction.has(outside.transactionId));
+    assert.deepStrictEqual(plan.filter(item => item.action === 'process').map(item => item.requested_username), ['fresh']);
+    assert.strictEqual(byTransaction.get(taken.transactionId).reason, 'account exists on chain');
+    assert.strictEqual(byTransaction.get(queued.transactionId).reason, 'waiting in recovery queue');
+    assert.strictEqual(byTransaction.get(refused.transactionId).ledger_state, STATES.REJECTED);
+    assert.strictEqual(byTransaction.get(halfway.transactionId).ledger_state, STATES.AUTHORIZED);
+    assert.strictEqual(byTransaction.get(broken.transactionId).reason, 'invalid request format');
+
+    // Rejected and in-flight requests only on request
+    const widened = await replayer.scan(fresh.blockNumber, broken.blockNumber, { includeRejected: true, includeInFlight: true });
+    assert.deepStrictEqual(widened.filter(item => item.action === 'process').map(item => item.requested_username), ['fresh', 'refused', 'halfway']);
+
+    // Nothing was broadcast by scanning; execute goes through the normal ledger and token path
+    assert.strictEqual(node.broadcasts.length, 0);
+    assert.strictEqual(await replayer.execute(plan), 1);
+    const entry = monitor.ledger.getRequest(fresh.transactionId);
+    assert.strictEqual(entry.state, STATES.DELIVERED);
+    assert.strictEqual(entry.replayed, true);
+    assert.deepStrictEqual(node.broadcastsOf('create_claimed_account').map(op => op.new_account_name), ['fresh']);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 1);
+});
+
+test('ambiguous broadcast: an account that reached the chain is adopted, not discarded', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    // Applied on chain, but the reply is lost; dhive's retry then hits "already exists"
+    node.dropNextBroadcastReply('create_claimed_account');
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 1);
+    const created = monitor.ledger.getRequest(transactionId).history.find(entry => entry.state === STATES.ACCOUNT_CREATED);
+    assert.strictEqual(created.confirmed_on_chain, true);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 1);
+    assert.deepStrictEqual(monitor.recovery.loadPending(), []);
+});
+
+test('account creation failures: a definite error rejects at once, an ambiguous one only once nothing landed', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    node.failNextBroadcast('create_claimed_account', 'missing required active authority');
+    const definite = requestFrom(SPONSOR, 'first');
+    await waitForState(monitor, definite.transactionId, STATES.REJECTED);
+    assert.match(monitor.ledger.getRequest(definite.transactionId).reason, /missing required active authority/);
+
+    // Nothing waits out the real expiration window in tests
+    monitor.client.broadcast.expireTime = 0;
+    node.failNextBroadcast('create_claimed_account', 'Duplicate transaction check failed');
+    const ambiguous = requestFrom(SPONSOR, 'second');
+    await waitForState(monitor, ambiguous.transactionId, STATES.REJECTED);
+    assert.match(monitor.ledger.getRequest(ambiguous.transactionId).reason, /Duplicate transaction/);
+
+    assert.ok(!node.accounts.has('first') && !node.accounts.has('second'));
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 0);
+    assert.deepStrictEqual(monitor.recovery.loadPending(), []);
+});
+
+test('delivery failure: credentials stay queued for retry and no token is used', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+    node.failNextBroadcast('transfer', 'missing required active authority');
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERY_FAILED);
+
+    assert.ok(node.accounts.has('newbie'), 'account was still created');
+    assert.strictEqual(node.broadcastsOf('transfer').length, 0);
+
+    const record = monitor.recovery.getPending('newbie');
+    assert.strictEqual(record.stage, 'created');
+    assert.strictEqual(record.delivery_attempts, 1);
+    assert.match(record.last_error, /missing required active authority/);
+    assert.ok(record.masterPassword.startsWith('P'), 'credentials are recoverable');
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 0);
+});
+
+test('delivery retries: backoff doubles, the operator is alerted on give-up and a late success charges one token', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3, 'sponsor@example.com');
+    Object.assign(monitor.retrier, { baseDelay: 50, maxAttempts: 3 });
+
+    // Email sink that refuses credentials for the accounts in `failing`
+    const failing = new Set(['gives-up', 'recovers']);
+    const sink = new EmailService({ sink: true });
+    const capture = sink.sendAccountCredentials.bind(sink);
+    sink.sendAccountCredentials = async (to, accountData) =>
+        failing.has(accountData.username) ? { success: false, error: 'SMTP unavailable' } : capture(to, accountData);
+    monitor.emailService = sink;
+    await startMonitor(monitor);
+
+    const givesUp = requestFrom(SPONSOR, 'gives-up', 'email');
+    const recovers = requestFrom(SPONSOR, 'recovers', 'email');
+    await waitForState(monitor, givesUp.transactionId, STATES.DELIVERY_FAILED);
+    await waitForState(monitor, recovers.transactionId, STATES.DELIVERY_FAILED);
+
+    const delays = [];
+    async function retryWhenDue() {
+        const record = monitor.recovery.getPending('gives-up');
+        delays.push(Date.parse(record.next_attempt_at) - Date.parse(record.last_attempt_at));
+        // Not due right after the failure, only once the backoff has elapsed
+        const due = now => monitor.retrier.dueRecords(now).some(pending => pending.username === 'gives-up');
+        assert.ok(!due(Date.parse(record.last_attempt_at)));
+        assert.ok(due(Date.parse(record.next_attempt_at)));
+        await waitFor(() => Date.now() >= Date.parse(record.next_attempt_at), 'backoff to elapse');
+        await monitor.retrier.runOnce();
+    }
+
+    await retryWhenDue();
+    failing.delete('recovers');
+    await retryWhenDue();
+
+    assert.deepStrictEqual(delays, [50, 100]);
+    const gaveUp = monitor.recovery.getPending('gives-up');
+    assert.strictEqual(gaveUp.delivery_attempts, 3);
+    assert.strictEqual(gaveUp.gave_up, true);
+    assert.strictEqual(gaveUp.next_attempt_at, null);
+    assert.match(monitor.ledger.getRequest(givesUp.transactionId).reason, /Gave up after 3 attempts: .*SMTP unavailable/);
+
+    const alerts = sink.sentMessages.filter(message => message.subject.includes('gave up'));
+    assert.strictEqual(alerts.length, 1);
+    assert.match(alerts[0].subject, /@gives-up/);
+    assert.match(alerts[0].text, /retry-delivery gives-up/);
+
+    assert.strictEqual(ledgerState(monitor, recovers.transactionId), STATES.DELIVERED);
+    assert.strictEqual(monitor.recovery.getPending('recovers'), null);
+    assert.strictEqual(sink.sentMessages.filter(message => message.to === 'sponsor@example.com').length, 1);
+
+    // Given up records are left for the operator; nothing is charged twice
+    await delay(120);
+    await monitor.retrier.runOnce();
+    assert.strictEqual(monitor.recovery.getPending('gives-up').delivery_attempts, 3);
+    const sponsor = await monitor.userManager.getUser(SPONSOR);
+    assert.strictEqual(sponsor.tokens_used, 1);
+    assert.strictEqual(sponsor.tokens_remaining, 2);
+});
+
+test('restart recovery: a crash after account creation is finished on the next start', async () => {
+    const first = createMonitor();
+    await first.userManager.addUser(SPONSOR, 3);
+    // Simulate the process dying between broadcast and delivery
+    first.deliverAndComplete = async () => {
+        first.stop();
+        throw new Error('simulated crash');
+    };
+    await startMonitor(first);
+
+    const { transactionId, blockNumber } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(first, transactionId, STATES.ACCOUNT_CREATED);
+    await waitFor(() => !first.isRunning, 'first monitor to stop');
+    assert.strictEqual(node.broadcastsOf('transfer').length, 0);
+
+    // New process: same data directory, checkpoint is still behind the request block
+    const second = createMonitor();
+    assert.ok(second.lastProcessedBlock < blockNumber, 'request block was not checkpointed');
+    await startMonitor(second);
+    await waitForState(second, transactionId, STATES.DELIVERED);
+    await waitFor(() => second.lastProcessedBlock >= node.headBlock, 're-scan past the request block');
+
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 1, 'account created exactly once');
+    assert.strictEqual(node.broadcastsOf('transfer').length, 1, 'credentials delivered exactly once');
+    assert.strictEqual((await second.userManager.getUser(SPONSOR)).tokens_used, 1);
+    assert.deepStrictEqual(second.recovery.loadPending(), []);
+});
+
+test('restart recovery: an account broadcast before a crash is adopted and onboarded on the next start', async () => {
+    const first = createMonitor();
+    await first.userManager.addUser(SPONSOR, 3);
+    await first.userManager.setUserSetting(SPONSOR, 'onboard_follow', true);
+    await first.userManager.setUserSetting(SPONSOR, 'recovery_partner', true);
+    // Simulate the process dying right after the broadcast, before anything was recorded
+    const createHiveAccount = first.createHiveAccount.bind(first);
+    first.createHiveAccount = async (...args) => {
+        await createHiveAccount(...args);
+        first.stop();
+        throw new Error('simulated crash');
+    };
+    await startMonitor(first);
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitFor(() => !first.isRunning, 'first monitor to stop');
+    assert.ok(node.accounts.has('newbie'));
+    assert.strictEqual(ledgerState(first, transactionId), STATES.AUTHORIZED);
+    assert.strictEqual(first.recovery.loadPending()[0].stage, 'creating');
+
+    const second = createMonitor();
+    await startMonitor(second);
+    await waitForState(second, transactionId, STATES.DELIVERED);
+
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 1, 'account created exactly once');
+    assert.deepStrictEqual(node.broadcastsOf('change_recovery_account').map(op => op.new_recovery_account), [SPONSOR]);
+    assert.strictEqual(node.broadcastsOf('custom_json').length, 1, 'follow step ran');
+    const created = second.ledger.getRequest(transactionId).history.find(entry => entry.state === STATES.ACCOUNT_CREATED);
+    assert.strictEqual(created.resumed, true);
+    assert.deepStrictEqual(created.onboarding.map(step => step.step), ['follow', 'recovery_partner']);
+    assert.strictEqual(second.onboarding.recoveryChanges()[0].account, 'newbie');
+});
+
+test('restart recovery: a request re-run from authorization keeps its notes and authority template', async () => {
+    const first = createMonitor();
+    await first.userManager.addUser(SPONSOR, 3);
+    await first.userManager.setUserSetting(SPONSOR, 'onboard_profile', true);
+    await first.userManager.setUserSetting(SPONSOR, 'allowed_templates', 'sponsor_posting');
+    // Simulate the process dying after authorization, before credentials were staged
+    first.recovery.addPending = () => {
+        first.stop();
+        throw new Error('simulated crash');
+    };
+    await startMonitor(first);
+
+    const { transactionId } = node.pushFaucetRequest(SPONSOR, {
+        requested_username: 'newbie',
+        delivery_method: 'hive_memo',
+        authority_template: 'sponsor_posting',
+        notes: 'location: Berlin'
+    });
+    await waitFor(() => !first.isRunning, 'first monitor to stop');
+    assert.strictEqual(ledgerState(first, transactionId), STATES.AUTHORIZED);
+    assert.strictEqual(first.ledger.getRequest(transactionId).notes, 'location: Berlin');
+
+    const second = createMonitor();
+    await startMonitor(second);
+    await waitForState(second, transactionId, STATES.DELIVERED);
+
+    const [created] = node.broadcastsOf('create_claimed_account');
+    assert.deepStrictEqual(created.posting.account_auths, [[SPONSOR, 1]]);
+    const [profile] = node.broadcastsOf('account_update2');
+    assert.strictEqual(JSON.parse(profile.posting_json_metadata).profile.location, 'Berlin');
+});
+
+/**
+ * Monitor that starts `behind` blocks back with small catch-up ranges, with requests for `usernames` spread over the backlog
+ */
+async function catchUpScenario(usernames, behind = 36) {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    monitor.lastProcessedBlock = node.headBlock;
+    monitor.catchupThreshold = 5;
+    Object.assign(monitor.fetcher, { batchSize: 4, concurrency: 3 });
+
+    const requests = [];
+    const gap = Math.floor(behind / (usernames.length + 1));
+    for (const username of usernames) {
+        for (let i = 0; i < gap; i++) node.produceBlock();
+        requests.push(requestFrom(SPONSOR, username));
+    }
+    for (let i = 0; i < gap; i++) node.produceBlock();
+
+    await startMonitor(monitor);
+    for (const { transactionId } of requests) await waitForState(monitor, transactionId, STATES.DELIVERED);
+    return monitor;
+}
+
+test('catch-up: a backlog is fetched in parallel ranges and processed in block order', async () => {
+    const monitor = await catchUpScenario(['early', 'middle', 'later']);
+
+    assert.deepStrictEqual(node.broadcastsOf('create_claimed_account').map(op => op.new_account_name), ['early', 'middle', 'later']);
+    assert.ok(node.calls.get('get_block_range') >= 3, 'backlog fetched in ranges');
+    assert.strictEqual(monitor.fetcher.rangeSupported, true);
+});
+
+test('catch-up: a node without get_block_range is caught up block by block', async () => {
+    node.disabledMethods.add('get_block_range');
+    const monitor = await catchUpScenario(['early', 'later']);
+
+    assert.deepStrictEqual(node.broadcastsOf('create_claimed_account').map(op => op.new_account_name), ['early', 'later']);
+    // Only the first round's parallel ranges ask; after "method not found" the node is not asked again
+    assert.strictEqual(node.calls.get('get_block_range'), monitor.fetcher.concurrency);
+    assert.strictEqual(monitor.fetcher.rangeSupported, false);
+});
+
+test('irreversible mode: a request is only acted on once its block is irreversible', async () => {
+    node.irreversibleLag = 3;
+    const monitor = createMonitor();
+    monitor.blockMode = 'irreversible';
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    const { transactionId, blockNumber } = requestFrom(SPONSOR, 'newbie');
+    await waitFor(() => monitor.lastProcessedBlock === blockNumber - 3, 'irreversible blocks processed');
+    await delay(100);
+    assert.strictEqual(ledgerState(monitor, transactionId), null);
+    assert.ok(monitor.lastProcessedBlock < blockNumber);
+
+    for (let i = 0; i < 3; i++) node.produceBlock();
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+    assert.ok(node.accounts.has('newbie'));
+});
+
+test('no ACTs: request is refused with a ledger reason before anything is staged', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    node.accounts.get(FAUCET).pending_claimed_accounts = 0;
+    await startMonitor(monitor);
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.REJECTED);
+
+    assert.strictEqual(monitor.ledger.getRequest(transactionId).reason, 'No Account Creation Tokens available');
+    assert.strictEqual(node.broadcasts.length, 0);
+    assert.deepStrictEqual(monitor.recovery.loadPending(), []);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 0);
+});
+
+test('auto claim: the ACT pool is topped up from RC and used by requests', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    node.accounts.get(FAUCET).pending_claimed_accounts = 0;
+    node.setRc(FAUCET, 5 * node.claimCost);
+    await startMonitor(monitor);
+
+    // Threshold 3: claims until the pool reaches it
+    assert.strictEqual(node.broadcastsOf('claim_account').length, 3);
+    assert.strictEqual(monitor.acts.pending, 3);
+    assert.strictEqual(node.accounts.get(FAUCET).pending_claimed_accounts, 3);
+
+    // Spending one drops below the threshold and claims again while RC lasts
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+    await waitFor(() => node.broadcastsOf('claim_account').length === 4, 'replacement claim');
+    assert.strictEqual(node.accounts.get(FAUCET).pending_claimed_accounts, 3);
+    assert.strictEqual(monitor.acts.getStatus().last_error, null);
+});
+
+test('paid fallback: an allowed sponsor pays the chain fee when no ACTs are left', async () => {
+    const monitor = createMonitor();
+    monitor.paidCreation.enabled = true;
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'paid_creation', true);
+    const faucet = node.accounts.get(FAUCET);
+    faucet.pending_claimed_accounts = 0;
+    faucet.balance = '10.000 HIVE';
+    await startMonitor(monitor);
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+
+    const [create] = node.broadcastsOf('account_create');
+    assert.strictEqual(create.fee, '3.000 HIVE');
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 0);
+    assert.strictEqual(faucet.balance, '7.000 HIVE');
+
+    const request = monitor.ledger.getRequest(transactionId);
+    assert.strictEqual(request.creation_method, 'account_create');
+    assert.strictEqual(request.fee_paid, '3.000 HIVE');
+    assert.strictEqual(monitor.paidCreation.getStatus().spent_today, '3.000 HIVE');
+});
+
+test('paid fallback: refused without sponsor permission or past the daily limit', async () => {
+    const monitor = createMonitor();
+    monitor.paidCreation.enabled = true;
+    monitor.paidCreation.dailyLimit = 5000; // 5.000 HIVE: room for one 3.000 fee
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.addUser('other', 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'paid_creation', true);
+    const faucet = node.accounts.get(FAUCET);
+    faucet.pending_claimed_accounts = 0;
+    faucet.balance = '10.000 HIVE';
+    await startMonitor(monitor);
+
+    const denied = requestFrom('other', 'newbie');
+    await waitForState(monitor, denied.transactionId, STATES.REJECTED);
+    assert.match(monitor.ledger.getRequest(denied.transactionId).reason, /paid fallback: sponsor is not allowed/);
+
+    const first = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, first.transactionId, STATES.DELIVERED);
+
+    const second = requestFrom(SPONSOR, 'another');
+    await waitForState(monitor, second.transactionId, STATES.REJECTED);
+    assert.match(monitor.ledger.getRequest(second.transactionId).reason, /daily limit reached \(3\.000 HIVE of 5\.000 HIVE/);
+    assert.strictEqual(node.broadcastsOf('account_create').length, 1);
+    assert.strictEqual(faucet.balance, '7.000 HIVE');
+});
+
+test('delegation: new accounts get starter HP that is returned once they have their own or it expires', async () => {
+    const monitor = createMonitor();
+    Object.assign(monitor.delegations, { enabled: true, vests: 5000, ownVests: 2000, days: 30 });
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    const first = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, first.transactionId, STATES.DELIVERED);
+    const second = requestFrom(SPONSOR, 'another');
+    await waitForState(monitor, second.transactionId, STATES.DELIVERED);
+
+    assert.deepStrictEqual(node.broadcastsOf('delegate_vesting_shares').map(op => [op.delegatee, op.vesting_shares]), [
+        ['newbie', '5000.000000 VESTS'],
+        ['another', '5000.000000 VESTS']
+    ]);
+    assert.strictEqual(monitor.ledger.getRequest(first.transactionId).delegated_vests, 5000);
+    assert.strictEqual(monitor.delegations.getReport().active_vests, '10000.000000 VESTS');
+
+    // Nothing due yet
+    assert.deepStrictEqual(await monitor.delegations.review(), []);
+
+    // @newbie powers up; @another's delegation ages out
+    node.accounts.get('newbie').vesting_shares = '2500.000000 VESTS';
+    const list = monitor.delegations.load();
+    list.find(d => d.account === 'another').delegated_at = new Date(Date.now() - 31 * 86400000).toISOString();
+    monitor.delegations.save(list);
+
+    assert.deepStrictEqual(await monitor.delegations.review(), [
+        { account: 'newbie', reason: 'own_hp' },
+        { account: 'another', reason: 'expired' }
+    ]);
+    assert.strictEqual(node.accounts.get('newbie').received_vesting_shares, '0.000000 VESTS');
+    assert.strictEqual(node.accounts.get('another').received_vesting_shares, '0.000000 VESTS');
+
+    const report = monitor.delegations.getReport();
+    assert.strictEqual(report.active_count, 0);
+    assert.deepStrictEqual(report.removed_by_reason, { own_hp: 1, expired: 1 });
+});
+
+test('delegation: the amount is never below the chain minimum, which is also the default', async () => {
+    const monitor = createMonitor();
+    Object.assign(monitor.delegations, { enabled: true, vests: 1000 });
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+
+    // 10 x 3.000 HIVE fee at the mock's 100 VESTS per HIVE
+    assert.strictEqual(await monitor.delegations.minimumVests(), 3000);
+
+    const raised = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, raised.transactionId, STATES.DELIVERED);
+    monitor.delegations.vests = null;
+    const unset = requestFrom(SPONSOR, 'another');
+    await waitForState(monitor, unset.transactionId, STATES.DELIVERED);
+
+    assert.deepStrictEqual(node.broadcastsOf('delegate_vesting_shares').map(op => [op.delegatee, op.vesting_shares]), [
+        ['newbie', '3000.000000 VESTS'],
+        ['another', '3000.000000 VESTS']
+    ]);
+    assert.strictEqual(monitor.ledger.getRequest(raised.transactionId).delegated_vests, 3000);
+    assert.strictEqual(monitor.delegations.getReport().vests_per_account, 'chain minimum');
+
+    // Without DELEGATION_OWN_VESTS the account keeps it until it owns the delegated amount
+    node.accounts.get('newbie').vesting_shares = '2999.000000 VESTS';
+    assert.deepStrictEqual(await monitor.delegations.review(), []);
+    node.accounts.get('newbie').vesting_shares = '3000.000000 VESTS';
+    assert.deepStrictEqual(await monitor.delegations.review(), [{ account: 'newbie', reason: 'own_hp' }]);
+});
+
+test('delegation: a failed delegation alerts the operator and does not fail the request', async () => {
+    const monitor = createMonitor();
+    monitor.delegations.enabled = true;
+    monitor.emailService = new EmailService({ sink: true });
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await startMonitor(monitor);
+    node.failNextBroadcast('delegate_vesting_shares', 'Account does not have enough vesting shares');
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+    assert.strictEqual(monitor.ledger.getRequest(transactionId).delegation_tx, undefined);
+    assert.strictEqual(monitor.delegations.getReport().total_delegated, 0);
+
+    const [alert] = monitor.emailService.sentMessages;
+    assert.strictEqual(alert.subject, '🚨 Faucet delegation to @newbie failed');
+    assert.match(alert.text, /not have enough vesting shares/);
+});
+
+test('onboarding: sponsor steps run with the new posting key before delivery', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'onboard_profile', true);
+    await monitor.userManager.setUserSetting(SPONSOR, 'onboard_community', 'hive-123456');
+    await monitor.userManager.setUserSetting(SPONSOR, 'onboard_follow', true);
+    await monitor.userManager.setUserSetting(SPONSOR, 'onboard_welcome', 'Welcome @{username}, say hi to @{sponsor}!');
+    await startMonitor(monitor);
+
+    const notes = 'Friend from the meetup\npicture: https://example.com/me.png\nlocation: Berlin\nwebsite: http://insecure.example';
+    const { transactionId } = requestFrom(SPONSOR, 'newbie', 'hive_memo', notes);
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+
+    const profile = node.broadcastsOf('account_update2')[0];
+    assert.strictEqual(profile.account, 'newbie');
+    assert.deepStrictEqual(JSON.parse(profile.posting_json_metadata), {
+        profile: { name: 'newbie', picture: 'https://example.com/me.png', location: 'Berlin' }
+    });
+    assert.deepStrictEqual(node.broadcastsOf('custom_json').map(op => [op.id, JSON.parse(op.json)]), [
+        ['community', ['subscribe', { community: 'hive-123456' }]],
+        ['follow', ['follow', { follower: 'newbie', following: SPONSOR, what: ['blog'] }]]
+    ]);
+    const welcome = node.broadcastsOf('transfer').find(op => op.to === 'newbie');
+    assert.strictEqual(welcome.memo, `Welcome @newbie, say hi to @${SPONSOR}!`);
+    assert.strictEqual(welcome.amount, '0.001 HBD');
+
+    // Posting steps are signed by the new account, before the credentials memo goes out
+    const postingPublic = node.accounts.get('newbie').posting.key_auths[0][0];
+    const onboardingTxs = node.broadcasts.filter(tx => tx.operations.some(([name]) => name === 'custom_json' || name === 'account_update2'));
+    assert.strictEqual(onboardingTxs.length, 3);
+    for (const tx of onboardingTxs) assert.deepStrictEqual(node.signersOf(tx), [postingPublic]);
+    const credentialsMemo = node.broadcasts.findIndex(tx => tx.operations.some(([name, op]) => name === 'transfer' && op.to === SPONSOR));
+    assert.ok(node.broadcasts.indexOf(onboardingTxs[2]) < credentialsMemo);
+
+    const steps = monitor.ledger.getRequest(transactionId).onboarding;
+    assert.deepStrictEqual(steps.map(step => step.step), ['profile', 'community', 'follow', 'welcome']);
+    assert.ok(steps.every(step => step.transactionId));
+});
+
+test('onboarding: a failed step is recorded and does not fail the request', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'onboard_follow', true);
+    await startMonitor(monitor);
+    node.failNextBroadcast('custom_json', 'Account does not have enough RC');
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+    assert.deepStrictEqual(monitor.ledger.getRequest(transactionId).onboarding, [
+        { step: 'follow', error: 'Account does not have enough RC' }
+    ]);
+    // Steps the sponsor did not enable are skipped entirely
+    assert.strictEqual(node.broadcastsOf('account_update2').length, 0);
+});
+
+test('authority templates: per-sponsor and per-request layouts are broadcast and verified', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'authority_template', 'sponsor_posting');
+    await monitor.userManager.setUserSetting(SPONSOR, 'allowed_templates', 'sponsor_cosign');
+    await startMonitor(monitor);
+
+    const bySetting = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, bySetting.transactionId, STATES.DELIVERED);
+    const byRequest = node.pushFaucetRequest(SPONSOR, {
+        requested_username: 'another',
+        delivery_method: 'hive_memo',
+        authority_template: 'sponsor_cosign'
+    });
+    await waitForState(monitor, byRequest.transactionId, STATES.DELIVERED);
+
+    const [first, second] = node.broadcastsOf('create_claimed_account');
+    assert.deepStrictEqual(first.posting.account_auths, [[SPONSOR, 1]]);
+    assert.deepStrictEqual(first.active.account_auths, []);
+    assert.strictEqual(second.active.weight_threshold, 2);
+    assert.deepStrictEqual(second.active.account_auths, [[SPONSOR, 1]]);
+    assert.strictEqual(second.active.key_auths[0][1], 1);
+    assert.deepStrictEqual(second.posting.account_auths, []);
+
+    assert.strictEqual(monitor.ledger.getRequest(bySetting.transactionId).authority_template, 'sponsor_posting');
+    assert.strictEqual(monitor.ledger.getRequest(byRequest.transactionId).authority_template, 'sponsor_cosign');
+});
+
+test('authority templates: unknown or unusable templates are rejected before anything is staged', async () => {
+    const monitor = createMonitor();
+    monitor.authorityTemplates.templates.ghost_posting = { posting: { account_auths: [['ghost', 1]] } };
+    monitor.authorityTemplates.templates.locked_owner = { owner: { weight_threshold: 2, key_weight: 1, account_auths: [['{sponsor}', 1]] } };
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'allowed_templates', 'unknown,ghost_posting,locked_owner');
+    await startMonitor(monitor);
+
+    const cases = [
+        ['unknown', /Unknown authority template "unknown"/],
+        ['ghost_posting', /@ghost not found on chain/],
+        ['locked_owner', /owner key alone must reach the threshold/],
+        // Known and valid, but the admin never allowed it for this sponsor
+        ['sponsor_recovery', /"sponsor_recovery": not allowed for @sponsor/]
+    ];
+    for (const [template, reason] of cases) {
+        const { transactionId } = node.pushFaucetRequest(SPONSOR, {
+            requested_username: `new-${template.substring(0, 5)}`,
+            delivery_method: 'hive_memo',
+            authority_template: template
+        });
+        await waitForState(monitor, transactionId, STATES.REJECTED);
+        assert.match(monitor.ledger.getRequest(transactionId).reason, reason);
+    }
+
+    assert.strictEqual(node.broadcastsOf('create_claimed_account').length, 0);
+    assert.strictEqual(monitor.recovery.loadPending().length, 0);
+    assert.strictEqual((await monitor.userManager.getUser(SPONSOR)).tokens_used, 0);
+});
+
+test('recovery partner: the new account names its sponsor as recovery account and is listed until it takes effect', async () => {
+    const monitor = createMonitor();
+    await monitor.userManager.addUser(SPONSOR, 3);
+    await monitor.userManager.setUserSetting(SPONSOR, 'recovery_partner', true);
+    await startMonitor(monitor);
+
+    const { transactionId } = requestFrom(SPONSOR, 'newbie');
+    await waitForState(monitor, transactionId, STATES.DELIVERED);
+
+    const [change] = node.broadcastsOf('change_recovery_account');
+    assert.deepStrictEqual(change, { account_to_recover: 'newbie', new_recovery_account: SPONSOR, extensions: [] });
+    const changeTx = node.broadcasts.find(tx => tx.operations[0][0] === 'change_recovery_account');
+    assert.deepStrictEqual(node.signersOf(changeTx), [node.accounts.get('newbie').owner.key_auths[0][0]]);
+
+    const [pending] = monitor.onboarding.recoveryChanges();
+    assert.strictEqual(pending.account, 'newbie');
+    assert.strictEqual(pending.recovery_account, SPONSOR);
+    assert.strictEqual(pending.pending, true);
+    const days = (Date.parse(pending.effective_on) - Date.parse(pending.requested_at)) / 86400000;
+    assert.strictEqual(days, 30);
+});
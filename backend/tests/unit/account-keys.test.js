@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PrivateKey, PublicKey } = require('@hiveio/dhive');
+
+const BlockchainMonitor = require('../../services/blockchain-monitor');
+
+let dataDir;
+let monitor;
+
+before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-keys-'));
+    // Constructing the monitor only wires services; nothing connects until start()
+    monitor = new BlockchainMonitor({ dataDir, nodes: ['http://127.0.0.1:1'] });
+});
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('generateMasterPassword returns "P" + a valid private key WIF', () => {
+    const password = monitor.generateMasterPassword();
+    assert.strictEqual(password.length, 52);
+    assert.match(password, /^P5[HJK]/);
+    assert.doesNotThrow(() => PrivateKey.fromString(password.substring(1)));
+});
+
+test('generateMasterPassword does not repeat', () => {
+    const passwords = new Set(Array.from({ length: 200 }, () => monitor.generateMasterPassword()));
+    assert.strictEqual(passwords.size, 200);
+});
+
+test('generateMasterPassword uses fresh entropy for every character', () => {
+    // The old generator reused the 32 random bytes, so characters 34+ mirrored 2..19
+    const password = monitor.generateMasterPassword();
+    assert.notStrictEqual(password.substring(34, 52), password.substring(2, 20));
+});
+
+test('generateAccountKeys follows the standard username+role+password derivation', () => {
+    const password = 'P5KnownTestPassword';
+    const keys = monitor.generateAccountKeys('alice', password);
+
+    assert.strictEqual(keys.masterPassword, password);
+    for (const role of ['owner', 'active', 'posting', 'memo']) {
+        const expected = PrivateKey.fromSeed(`alice${role}${password}`);
+        assert.strictEqual(keys[`${role}Key`], expected.toString(), role);
+        assert.strictEqual(keys[`${role}Public`], expected.createPublic().toString(), role);
+    }
+});
+
+test('generateAccountKeys returns valid WIF keys with matching public keys', () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    for (const role of ['owner', 'active', 'posting', 'memo']) {
+        const privateKey = PrivateKey.fromString(keys[`${role}Key`]);
+        assert.match(keys[`${role}Key`], /^5[HJK]/);
+        assert.ok(keys[`${role}Public`].startsWith('STM'));
+        assert.strictEqual(privateKey.createPublic().toString(), PublicKey.fromString(keys[`${role}Public`]).toString());
+    }
+});
+
+test('generateAccountKeys is deterministic and distinct per role and username', () => {
+    const password = monitor.generateMasterPassword();
+    const first = monitor.generateAccountKeys('alice', password);
+    const again = monitor.generateAccountKeys('alice', password);
+    const other = monitor.generateAccountKeys('bob', password);
+
+    assert.deepStrictEqual(first, again);
+    const roleKeys = [first.ownerKey, first.activeKey, first.postingKey, first.memoKey];
+    assert.strictEqual(new Set(roleKeys).size, 4);
+    assert.notStrictEqual(first.ownerKey, other.ownerKey);
+});
+
+/**
+ * Chain account as the node returns it, with authorities from `keys`
+ */
+function chainAccount(username, keys) {
+    const authority = publicKey => ({ weight_threshold: 1, account_auths: [], key_auths: [[publicKey, 1]] });
+    return {
+        name: username,
+        owner: authority(keys.ownerPublic),
+        active: authority(keys.activePublic),
+        posting: authority(keys.postingPublic),
+        memo_key: keys.memoPublic
+    };
+}
+
+function withChainAccounts(accounts, fn) {
+    const client = monitor.client;
+    monitor.client = { database: { getAccounts: async () => accounts } };
+    return fn().finally(() => { monitor.client = client; });
+}
+
+test('verifyAccountKeys accepts keys matching the broadcast authorities', async () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    await withChainAccounts([chainAccount('alice', keys)], async () => {
+        assert.deepStrictEqual(await monitor.verifyAccountKeys({ username: 'alice', ...keys }), { success: true });
+    });
+});
+
+test('verifyAccountKeys rejects authorities derived from another password', async () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    const other = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    await withChainAccounts([chainAccount('alice', { ...keys, ownerPublic: other.ownerPublic, memoPublic: other.memoPublic })], async () => {
+        const result = await monitor.verifyAccountKeys({ username: 'alice', ...keys });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /owner\/memo key does not match @alice on chain/);
+    });
+});
+
+test('verifyAccountKeys rejects stored keys that do not derive from the password', async () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    const other = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    const result = await monitor.verifyAccountKeys({ username: 'alice', ...keys, activeKey: other.activeKey });
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Stored active key/);
+});
+
+test('verifyAccountKeys fails when the account is missing on chain', async () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    await withChainAccounts([], async () => {
+        const result = await monitor.verifyAccountKeys({ username: 'alice', ...keys });
+        assert.match(result.error, /not found on chain/);
+    });
+});
+
+test('verifyAccountKeys compares against the record\'s authority template', async () => {
+    const keys = monitor.generateAccountKeys('alice', monitor.generateMasterPassword());
+    const account = chainAccount('alice', keys);
+    account.posting.account_auths = [['sponsor', 1]];
+    const record = { username: 'alice', requester: 'sponsor', authorityTemplate: 'sponsor_posting', ...keys };
+
+    await withChainAccounts([account], async () => {
+        assert.deepStrictEqual(await monitor.verifyAccountKeys(record), { success: true });
+        // Same chain state, but the record was created with the plain layout
+        const result = await monitor.verifyAccountKeys({ ...record, authorityTemplate: undefined });
+        assert.match(result.error, /posting key does not match @alice on chain/);
+    });
+});
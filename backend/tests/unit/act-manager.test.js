@@ -0,0 +1,34 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const ActManager = require('../../services/act-manager');
+
+describe('ActManager threshold', () => {
+    const original = process.env.ACT_CLAIM_THRESHOLD;
+
+    afterEach(() => {
+        if (original === undefined) delete process.env.ACT_CLAIM_THRESHOLD;
+        else process.env.ACT_CLAIM_THRESHOLD = original;
+    });
+
+    function thresholdFor(value) {
+        if (value === undefined) delete process.env.ACT_CLAIM_THRESHOLD;
+        else process.env.ACT_CLAIM_THRESHOLD = value;
+        return new ActManager({}).threshold;
+    }
+
+    test('an explicit 0 disables claiming instead of falling back to the default', () => {
+        assert.strictEqual(thresholdFor('0'), 0);
+
+        const acts = new ActManager({ dryRun: false });
+        acts.pending = 0;
+        acts.rcMana = acts.claimCost;
+        assert.strictEqual(acts.shouldClaim(), false);
+    });
+
+    test('missing or unparseable values use the default of 5', () => {
+        assert.strictEqual(thresholdFor(undefined), 5);
+        assert.strictEqual(thresholdFor('lots'), 5);
+        assert.strictEqual(thresholdFor('12'), 12);
+    });
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const UserManager = require('../../services/user-manager');
+const { createAdminRouter } = require('../../routes/admin');
+
+let dir;
+let server;
+let baseUrl;
+let userManager;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-admin-'));
+    userManager = new UserManager({ type: 'json', dataFile: path.join(dir, 'authorized_users.json') });
+
+    const app = express();
+    app.use(express.json());
+    // Auth is covered elsewhere; every request here counts as an admin
+    app.use('/admin', createAdminRouter({ userManager, ledger: {} }, { requireAdmin: (req, res, next) => next() }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await userManager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function post(route, body = {}) {
+    return fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('POST /users only accepts Hive account names', async () => {
+    for (const username of ['__proto__', 'Alice', 'ab', 'a'.repeat(17), '1alice', 'al ice']) {
+        const res = await post('/users', { username, tokens: 1 });
+        assert.strictEqual(res.status, 400, username);
+    }
+    assert.deepStrictEqual(Object.keys((await userManager.getAllUsers()).authorized_users), []);
+
+    assert.strictEqual((await post('/users', { username: 'alice', tokens: 1 })).status, 200);
+});
+
+test('/users/:username routes reject names that are not Hive accounts', async () => {
+    for (const route of ['/users/__proto__/activate', '/users/toString/settings', '/users/x/set-tokens']) {
+        const res = await post(route, { tokens: 1, key: 'paid_creation', value: true });
+        assert.strictEqual(res.status, 400, route);
+        assert.strictEqual((await res.json()).message, 'Invalid Hive username');
+    }
+    assert.strictEqual((await fetch(`${baseUrl}/users/__proto__`)).status, 400);
+    // A valid name that is also an Object.prototype key is just an unknown user
+    assert.strictEqual((await post('/users/constructor/give-tokens', { tokens: 1 })).status, 404);
+    assert.strictEqual(({}).is_active, undefined);
+});
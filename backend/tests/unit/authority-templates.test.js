@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const AuthorityTemplates = require('../../services/authority-templates');
+
+const keys = { ownerPublic: 'STM-owner', activePublic: 'STM-active', postingPublic: 'STM-posting' };
+
+// Accounts the stub chain knows
+const onChain = ['bob', 'faucet'];
+
+function templates(extra = {}, monitor = {}) {
+    const client = { database: { getAccounts: async names => names.filter(name => onChain.includes(name)).map(name => ({ name })) } };
+    const instance = new AuthorityTemplates({ creatingAccount: 'faucet', dryRun: true, client, ...monitor }, { templatesFile: '' });
+    Object.assign(instance.templates, extra);
+    return instance;
+}
+
+test('built-in templates pass validation', () => {
+    for (const [name, template] of Object.entries(AuthorityTemplates.BUILT_IN)) {
+        assert.deepStrictEqual(AuthorityTemplates.templateErrors(template), [], name);
+    }
+});
+
+test('build fills in the sponsor and faucet and sorts account_auths', () => {
+    const authorities = templates({
+        shared: { posting: { account_auths: [['{sponsor}', 1], ['{faucet}', 1], ['app', 1]] } }
+    }).build('shared', keys, { sponsor: 'zed' });
+
+    assert.deepStrictEqual(authorities.owner, { weight_threshold: 1, account_auths: [], key_auths: [['STM-owner', 1]] });
+    assert.deepStrictEqual(authorities.posting.account_auths, [['app', 1], ['faucet', 1], ['zed', 1]]);
+});
+
+test('templateErrors catches unreachable thresholds, bad weights and a locked owner', () => {
+    assert.match(AuthorityTemplates.templateErrors({ active: { weight_threshold: 3, key_weight: 1, account_auths: [['x', 1]] } })[0], /can never reach/);
+    assert.match(AuthorityTemplates.templateErrors({ posting: { weight_threshold: 0 } })[0], /weight_threshold/);
+    assert.match(AuthorityTemplates.templateErrors({ posting: { account_auths: ['app'] } })[0], /\[name, weight\]/);
+    assert.match(AuthorityTemplates.templateErrors({ posting: { account_auths: [['app', 1], ['app', 2]] } })[0], /duplicate/);
+    assert.match(AuthorityTemplates.templateErrors({ owner: { weight_threshold: 2, key_weight: 1, account_auths: [['x', 1]] } })[0], /owner key alone/);
+});
+
+test('resolve refuses a template that needs a sponsor or names the new account', async () => {
+    const instance = templates({ self: { posting: { account_auths: [['alice', 1]] } } });
+    assert.match((await instance.resolve('sponsor_posting', keys, { username: 'alice' })).error, /needs a sponsor/);
+    assert.match((await instance.resolve('self', keys, { sponsor: 'bob', username: 'alice' })).error, /cannot authorize itself/);
+    assert.strictEqual((await instance.resolve('sponsor_posting', keys, { sponsor: 'bob', username: 'alice' })).success, true);
+});
+
+test('resolve checks account_auths on chain in dry runs too', async () => {
+    const instance = templates({ ghost_posting: { posting: { account_auths: [['ghost', 1]] } } });
+    assert.strictEqual(instance.monitor.dryRun, true);
+    assert.match((await instance.resolve('ghost_posting', keys, { sponsor: 'bob', username: 'alice' })).error, /@ghost not found on chain/);
+    assert.match((await instance.resolve('sponsor_posting', keys, { sponsor: 'carol', username: 'alice' })).error, /@carol not found/);
+});
+
+test('sameAuthority ignores member order', () => {
+    const a = { weight_threshold: 1, key_auths: [['STM-a', 1]], account_auths: [['x', 1], ['y', 1]] };
+    const b = { weight_threshold: 1, key_auths: [['STM-a', 1]], account_auths: [['y', 1], ['x', 1]] };
+    assert.strictEqual(AuthorityTemplates.sameAuthority(a, b), true);
+    assert.strictEqual(AuthorityTemplates.sameAuthority(a, { ...b, weight_threshold: 2 }), false);
+});
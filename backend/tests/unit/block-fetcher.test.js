@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const BlockFetcher = require('../../services/block-fetcher');
+
+function blockId(number) {
+    return number.toString(16).padStart(8, '0') + 'ab'.repeat(16);
+}
+
+function rpcError(message) {
+    return Object.assign(new Error(message), { name: 'RPCError' });
+}
+
+/**
+ * Stub dhive client over blocks 1..head; later ranges answer first to shake out ordering bugs
+ */
+function stubClient(head, { rangeError, unsupportedOn, missing = [] } = {}) {
+    const client = {
+        currentAddress: 'https://node-a',
+        rangeCalls: [],
+        singleCalls: [],
+        async call(api, method, { starting_block_num: start, count }) {
+            client.rangeCalls.push([client.currentAddress, start, count]);
+            if (client.currentAddress === unsupportedOn) throw rpcError('Could not find method get_block_range');
+            if (rangeError) throw rangeError;
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, 40 - start)));
+            const blocks = [];
+            for (let n = start; n < start + count && n <= head && !missing.includes(n); n++) {
+                blocks.push({ block_id: blockId(n), transactions: [] });
+            }
+            return { blocks };
+        },
+        database: {
+            async getBlock(number) {
+                client.singleCalls.push(number);
+                return number <= head && !missing.includes(number) ? { block_id: blockId(number), transactions: [] } : null;
+            }
+        }
+    };
+    return client;
+}
+
+describe('BlockFetcher', () => {
+    test('returns parallel ranges in ascending order', async () => {
+        const client = stubClient(100);
+        const fetcher = new BlockFetcher(client, { batchSize: 5, concurrency: 4 });
+
+        const blocks = await fetcher.fetchBlocks(11, 100);
+        assert.deepStrictEqual(blocks.map(entry => entry.blockNumber), Array.from({ length: 20 }, (_, i) => 11 + i));
+        assert.strictEqual(client.rangeCalls.length, 4);
+        assert.strictEqual(client.singleCalls.length, 0);
+    });
+
+    test('stops at the first gap so nothing past it is processed', async () => {
+        const fetcher = new BlockFetcher(stubClient(100, { missing: [8] }), { batchSize: 5, concurrency: 4 });
+        const blocks = await fetcher.fetchBlocks(1, 20);
+        assert.deepStrictEqual(blocks.map(entry => entry.blockNumber), [1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    test('falls back to single blocks only on a node that does not serve get_block_range', async () => {
+        const client = stubClient(100, { unsupportedOn: 'https://node-a' });
+        const fetcher = new BlockFetcher(client, { batchSize: 5, concurrency: 1 });
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const blocks = await fetcher.fetchBlocks(1, 10);
+            assert.deepStrictEqual(blocks.map(entry => entry.blockNumber), [1, 2, 3, 4, 5]);
+        } finally {
+            console.warn = warn;
+        }
+        assert.deepStrictEqual(client.singleCalls, [1, 2, 3, 4, 5]);
+        assert.strictEqual(fetcher.rangeSupported, false);
+
+        // The pool rotated: the next node gets asked for ranges again
+        client.currentAddress = 'https://node-b';
+        assert.strictEqual(fetcher.rangeSupported, true);
+        const blocks = await fetcher.fetchBlocks(6, 10);
+        assert.deepStrictEqual(blocks.map(entry => entry.blockNumber), [6, 7, 8, 9, 10]);
+        assert.strictEqual(client.singleCalls.length, 5);
+    });
+
+    test('other errors are passed on without giving up on get_block_range', async () => {
+        const client = stubClient(100, { rangeError: new Error('network timeout') });
+        const fetcher = new BlockFetcher(client, { batchSize: 5, concurrency: 2 });
+
+        await assert.rejects(fetcher.fetchBlocks(1, 10), /network timeout/);
+        await assert.rejects(fetcher.fetchBlocks(1, 10), /network timeout/);
+        assert.strictEqual(fetcher.rangeSupported, true);
+        assert.strictEqual(client.rangeCalls.length, 4);
+        assert.strictEqual(client.singleCalls.length, 0);
+    });
+
+    test('normalizeBlock converts block_api operations and transaction ids to the condenser shape', () => {
+        const block = BlockFetcher.normalizeBlock({
+            block_id: blockId(7),
+            transaction_ids: ['aa', 'bb'],
+            transactions: [
+                { operations: [{ type: 'custom_json_operation', value: { id: 'hive_account_faucet', json: '{}' } }] },
+                { transaction_id: 'keep', operations: [['transfer', { from: 'a', to: 'b' }]] }
+            ]
+        });
+
+        assert.strictEqual(block.block_id, blockId(7));
+        assert.deepStrictEqual(block.transactions.map(tx => tx.transaction_id), ['aa', 'keep']);
+        assert.deepStrictEqual(block.transactions[0].operations, [['custom_json', { id: 'hive_account_faucet', json: '{}' }]]);
+        assert.deepStrictEqual(block.transactions[1].operations, [['transfer', { from: 'a', to: 'b' }]]);
+        assert.deepStrictEqual(BlockFetcher.normalizeBlock({ block_id: blockId(8) }).transactions, []);
+    });
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const EmailService = require('../../services/email-service');
+
+test('sink message ids stay unique after the buffer is trimmed', async () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const sink = new EmailService({ sink: true });
+        const ids = [];
+        for (let i = 0; i < 105; i++) {
+            ids.push((await sink.sendOperatorAlert(`alert ${i}`, 'text')).messageId);
+        }
+
+        assert.strictEqual(new Set(ids).size, 105);
+        assert.strictEqual(ids[104], 'dry-run-105');
+        assert.strictEqual(sink.sentMessages.length, 100);
+        assert.strictEqual(sink.sentMessages[0].id, 'dry-run-6');
+    } finally {
+        console.log = log;
+    }
+});
@@ -0,0 +1,174 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PrivateKey } = require('@hiveio/dhive');
+
+const { CredentialCipher, redactCredentials } = require('../../services/credential-cipher');
+const RecoveryStore = require('../../services/recovery-store');
+
+const masterPassword = `P${PrivateKey.fromSeed('master').toString()}`;
+const secrets = {
+    masterPassword,
+    ownerKey: PrivateKey.fromSeed('owner').toString(),
+    activeKey: PrivateKey.fromSeed('active').toString(),
+    postingKey: PrivateKey.fromSeed('posting').toString(),
+    memoKey: PrivateKey.fromSeed('memo').toString()
+};
+
+function record(username = 'newbie') {
+    return { username, requester: 'sponsor', stage: 'created', transactionId: 'abc', ...secrets };
+}
+
+describe('CredentialCipher', () => {
+    test('decrypts what it encrypted, with a fresh IV every time', () => {
+        const cipher = new CredentialCipher('secret');
+        const first = cipher.encrypt(secrets);
+        const second = cipher.encrypt(secrets);
+        assert.notStrictEqual(first.iv, second.iv);
+        assert.ok(!first.data.includes(secrets.ownerKey));
+        assert.deepStrictEqual(cipher.decrypt(first), secrets);
+    });
+
+    test('refuses to decrypt with a different secret or tampered data', () => {
+        const blob = new CredentialCipher('secret').encrypt(secrets);
+        assert.throws(() => new CredentialCipher('other').decrypt(blob));
+
+        const data = Buffer.from(blob.data, 'base64');
+        data[0] ^= 1;
+        assert.throws(() => new CredentialCipher('secret').decrypt({ ...blob, data: data.toString('base64') }));
+    });
+
+    test('refuses to work without a key', () => {
+        const cipher = new CredentialCipher(null);
+        assert.strictEqual(cipher.isConfigured, false);
+        assert.throws(() => cipher.encrypt(secrets), /ENCRYPTION_SECRET/);
+    });
+});
+
+describe('redactCredentials', () => {
+    test('masks master passwords and private keys in free text', () => {
+        const text = `Login failed for ${masterPassword} / ${secrets.ownerKey}, keep STM5public intact`;
+        const redacted = redactCredentials(text);
+        assert.ok(!redacted.includes(masterPassword));
+        assert.ok(!redacted.includes(secrets.ownerKey));
+        assert.match(redacted, /P5\*\*\*\[redacted\] \/ 5\*\*\*\[redacted\]/);
+        assert.match(redacted, /STM5public/);
+    });
+});
+
+describe('RecoveryStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-recovery-'));
+        file = path.join(dir, 'pending_credentials.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function store(secret = 'secret') {
+        return new RecoveryStore({ recoveryDir: dir, recoveryFile: file, cipher: new CredentialCipher(secret) });
+    }
+
+    function assertNoSecretsOnDisk() {
+        const raw = fs.readFileSync(file, 'utf8');
+        for (const value of Object.values(secrets)) {
+            assert.ok(!raw.includes(value), 'secret written in plaintext');
+        }
+        for (const field of RecoveryStore.SECRET_FIELDS) {
+            assert.ok(!raw.includes(`"${field}"`), `${field} written in plaintext`);
+        }
+    }
+
+    test('secret fields only reach disk encrypted, bookkeeping stays readable', () => {
+        const recovery = store();
+        recovery.addPending(record());
+        recovery.updatePending('newbie', { delivery_attempts: 2 });
+        recovery.updatePending('newbie', { memoKey: secrets.memoKey });
+        assertNoSecretsOnDisk();
+
+        const [onDisk] = recovery.loadPending();
+        assert.strictEqual(onDisk.requester, 'sponsor');
+        assert.strictEqual(onDisk.delivery_attempts, 2);
+        assert.deepStrictEqual(recovery.getPending('newbie'), { ...record(), delivery_attempts: 2 });
+        assert.strictEqual((fs.statSync(file).mode & 0o777), 0o600);
+    });
+
+    test('new records are refused without a key instead of falling back to plaintext', () => {
+        const recovery = store(null);
+        assert.strictEqual(recovery.canEncrypt, false);
+        assert.throws(() => recovery.addPending(record()));
+        assert.deepStrictEqual(recovery.loadPending(), []);
+    });
+
+    test('a wrong key cannot unseal records', () => {
+        store('secret').addPending(record());
+        assert.throws(() => store('other').getPending('newbie'));
+    });
+
+    test('plaintext records from older versions are sealed on load', () => {
+        fs.writeFileSync(file, JSON.stringify({ pending: [record('old'), { username: 'bare', requester: 'sponsor' }] }));
+
+        const recovery = store();
+        assertNoSecretsOnDisk();
+        assert.deepStrictEqual(recovery.getPending('old'), record('old'));
+        assert.deepStrictEqual(recovery.getPending('bare'), { username: 'bare', requester: 'sponsor' });
+    });
+
+    test('plaintext records are left alone (and readable) while no key is configured', () => {
+        fs.writeFileSync(file, JSON.stringify({ pending: [record('old')] }));
+        const recovery = store(null);
+        assert.deepStrictEqual(recovery.getPending('old'), record('old'));
+    });
+
+    test('a writer in another process waits for the lock instead of overwriting', async () => {
+        const recovery = store();
+        const fd = recovery.lock.acquireSync();
+
+        // e.g. admin.js adding/purging while the monitor rewrites the file
+        const script = `
+            const { CredentialCipher } = require(${JSON.stringify(require.resolve('../../services/credential-cipher'))});
+            const RecoveryStore = require(${JSON.stringify(require.resolve('../../services/recovery-store'))});
+            const recovery = new RecoveryStore({ recoveryDir: ${JSON.stringify(dir)}, recoveryFile: ${JSON.stringify(file)}, cipher: new CredentialCipher('secret') });
+            process.stdout.write('ready', () => recovery.addPending({ username: 'child', requester: 'sponsor' }));
+        `;
+        const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'ignore'] });
+        const exited = new Promise(resolve => child.on('exit', resolve));
+
+        await new Promise(resolve => child.stdout.once('data', resolve));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.deepStrictEqual(recovery.loadPending(), [], 'child wrote while the lock was held');
+        recovery.savePending([recovery.seal(record('parent'))]);
+        recovery.lock.release(fd);
+
+        assert.strictEqual(await exited, 0);
+        assert.deepStrictEqual(recovery.loadPending().map(r => r.username).sort(), ['child', 'parent']);
+    });
+
+    test('a held lock times out, a stale one is taken over', () => {
+        const recovery = new RecoveryStore({ recoveryDir: dir, recoveryFile: file, cipher: new CredentialCipher('secret'), lockTimeout: 100 });
+        fs.writeFileSync(`${file}.lock`, '12345');
+        assert.throws(() => recovery.addPending(record()), /Timed out waiting for lock/);
+        assert.deepStrictEqual(recovery.loadPending(), []);
+
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(`${file}.lock`, old, old);
+        recovery.addPending(record());
+        assert.strictEqual(recovery.loadPending().length, 1);
+        assert.ok(!fs.existsSync(`${file}.lock`));
+    });
+
+    test('removePending drops the record', () => {
+        const recovery = store();
+        recovery.addPending(record('one'));
+        recovery.addPending(record('two'));
+        recovery.removePending('one');
+        assert.deepStrictEqual(recovery.loadPending().map(r => r.username), ['two']);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RequestLedger = require('../../services/request-ledger');
+
+const { STATES } = RequestLedger;
+
+describe('RequestLedger', () => {
+    let dir;
+    let ledgerFile;
+    let ledger;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-ledger-'));
+        ledgerFile = path.join(dir, 'request_ledger.jsonl');
+        ledger = new RequestLedger({ ledgerFile });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('findRequest answers by transaction id or client request_id', () => {
+        ledger.record('tx1', STATES.RECEIVED, { request_id: 'req-1', requested_username: 'newbie' });
+        ledger.record('tx1', STATES.AUTHORIZED);
+        ledger.record('tx2', STATES.RECEIVED, { request_id: 'req-2' });
+
+        assert.strictEqual(ledger.findRequest('tx1').state, STATES.AUTHORIZED);
+        assert.strictEqual(ledger.findRequest('req-1').transactionId, 'tx1');
+        assert.strictEqual(ledger.findRequest('req-1').history.length, 2);
+        assert.strictEqual(ledger.findRequest('req-2').transactionId, 'tx2');
+        assert.strictEqual(ledger.findRequest('unknown'), null);
+        assert.ok(ledger.hasTransaction('tx2') && !ledger.hasTransaction('tx3'));
+    });
+
+    test('lookups only read what was appended since the last one', () => {
+        for (let i = 0; i < 20; i++) ledger.record(`tx${i}`, STATES.RECEIVED, { request_id: `req-${i}` });
+        ledger.findRequest('req-0');
+
+        const readSync = fs.readSync;
+        const readFileSync = fs.readFileSync;
+        const bytesRead = [];
+        fs.readSync = (...args) => {
+            bytesRead.push(args[1].length);
+            return readSync(...args);
+        };
+        fs.readFileSync = (...args) => {
+            if (args[0] === ledgerFile) throw new Error('whole ledger re-read');
+            return readFileSync(...args);
+        };
+        try {
+            for (let i = 0; i < 5; i++) assert.strictEqual(ledger.findRequest('req-19').transactionId, 'tx19');
+            assert.deepStrictEqual(bytesRead, []);
+
+            const entry = ledger.record('tx20', STATES.RECEIVED, { request_id: 'req-20' });
+            assert.strictEqual(ledger.findRequest('req-20').transactionId, 'tx20');
+            assert.deepStrictEqual(bytesRead, [JSON.stringify(entry).length + 1]);
+        } finally {
+            fs.readSync = readSync;
+            fs.readFileSync = readFileSync;
+        }
+    });
+
+    test('entries appended by another process are picked up', () => {
+        ledger.record('tx1', STATES.ACCOUNT_CREATED);
+        assert.strictEqual(ledger.getRequest('tx1').state, STATES.ACCOUNT_CREATED);
+
+        // e.g. admin.js retry-delivery writing to the same file
+        new RequestLedger({ ledgerFile }).record('tx1', STATES.DELIVERED);
+        assert.strictEqual(ledger.getRequest('tx1').state, STATES.DELIVERED);
+
+        // A line still being written is not folded in until it is complete
+        fs.appendFileSync(ledgerFile, '{"transactionId":"tx2","state":"rece');
+        assert.strictEqual(ledger.getRequest('tx2'), null);
+        fs.appendFileSync(ledgerFile, 'ived"}\n');
+        assert.strictEqual(ledger.getRequest('tx2').state, STATES.RECEIVED);
+    });
+
+    test('returned summaries cannot change the index', () => {
+        ledger.record('tx1', STATES.RECEIVED);
+        ledger.getRequest('tx1').history.push({ state: 'bogus' });
+        assert.strictEqual(ledger.getRequest('tx1').history.length, 1);
+    });
+});
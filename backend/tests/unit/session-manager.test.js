@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { PrivateKey, cryptoUtils } = require('@hiveio/dhive');
+
+const SessionManager = require('../../services/session-manager');
+
+const postingKey = PrivateKey.fromSeed('alice-posting');
+const activeKey = PrivateKey.fromSeed('alice-active');
+const otherKey = PrivateKey.fromSeed('mallory-posting');
+
+function authority(key) {
+    return { weight_threshold: 1, account_auths: [], key_auths: [[key.createPublic().toString(), 1]] };
+}
+
+const accounts = {
+    alice: { name: 'alice', posting: authority(postingKey), active: authority(activeKey) },
+    boss: { name: 'boss', posting: authority(postingKey), active: authority(activeKey) },
+    outsider: { name: 'outsider', posting: authority(postingKey), active: authority(activeKey) }
+};
+const sponsors = { alice: { tokens_remaining: 1 } };
+
+let sessions;
+
+beforeEach(() => {
+    const client = { database: { getAccounts: async names => names.filter(name => accounts[name]).map(name => accounts[name]) } };
+    const userManager = { getUser: async name => (Object.prototype.hasOwnProperty.call(sponsors, name) ? sponsors[name] : null) };
+    sessions = new SessionManager(client, userManager, { adminAccounts: 'boss', maxChallenges: 5, maxChallengesPerClient: 3 });
+});
+
+// Keychain's requestSignBuffer signs sha256(message)
+function sign(message, key = postingKey) {
+    return key.sign(cryptoUtils.sha256(message)).toString();
+}
+
+test('a challenge signed with the posting or active key opens a session with the right role', async () => {
+    const { challenge } = sessions.createChallenge('alice');
+    const result = await sessions.verifyChallenge('alice', challenge, sign(challenge));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.role, 'sponsor');
+    assert.strictEqual(sessions.getSession(result.token).username, 'alice');
+
+    const admin = sessions.createChallenge('boss');
+    const adminResult = await sessions.verifyChallenge('boss', admin.challenge, sign(admin.challenge, activeKey));
+    assert.strictEqual(adminResult.role, 'admin');
+});
+
+test('a signature from another key is refused', async () => {
+    const { challenge } = sessions.createChallenge('alice');
+    const result = await sessions.verifyChallenge('alice', challenge, sign(challenge, otherKey));
+    assert.strictEqual(result.status, 401);
+});
+
+test('malformed signatures, unknown accounts and accounts without a role are refused', async () => {
+    let { challenge } = sessions.createChallenge('alice');
+    assert.strictEqual((await sessions.verifyChallenge('alice', challenge, 'zz')).status, 400);
+
+    ({ challenge } = sessions.createChallenge('ghost'));
+    assert.strictEqual((await sessions.verifyChallenge('ghost', challenge, sign(challenge))).status, 404);
+
+    ({ challenge } = sessions.createChallenge('outsider'));
+    assert.strictEqual((await sessions.verifyChallenge('outsider', challenge, sign(challenge))).status, 403);
+});
+
+test('challenges are single use and bound to their account', async () => {
+    const { challenge } = sessions.createChallenge('alice');
+    assert.strictEqual((await sessions.verifyChallenge('boss', challenge, sign(challenge))).status, 400);
+    assert.strictEqual((await sessions.verifyChallenge('alice', challenge, sign(challenge))).success, true);
+    assert.match((await sessions.verifyChallenge('alice', challenge, sign(challenge))).error, /already used/);
+});
+
+test('expired challenges are refused', async () => {
+    const { challenge } = sessions.createChallenge('alice');
+    for (const pending of sessions.challenges.values()) pending.expiresAt = Date.now() - 1;
+    const result = await sessions.verifyChallenge('alice', challenge, sign(challenge));
+    assert.strictEqual(result.error, 'Challenge expired');
+});
+
+test('a new challenge for the same account does not replace a pending one', async () => {
+    const first = sessions.createChallenge('alice', '10.0.0.1');
+    sessions.createChallenge('alice', '10.0.0.2');
+    assert.strictEqual((await sessions.verifyChallenge('alice', first.challenge, sign(first.challenge))).success, true);
+});
+
+test('pending challenges are capped per client and overall', () => {
+    for (let i = 0; i < 3; i++) assert.strictEqual(sessions.createChallenge(`user${i}`, '10.0.0.1').success, true);
+    const perClient = sessions.createChallenge('user3', '10.0.0.1');
+    assert.strictEqual(perClient.status, 429);
+
+    assert.strictEqual(sessions.createChallenge('user4', '10.0.0.2').success, true);
+    assert.strictEqual(sessions.createChallenge('user5', '10.0.0.3').success, true);
+    assert.strictEqual(sessions.createChallenge('user6', '10.0.0.4').status, 429);
+
+    // Expired challenges free their slots
+    for (const pending of sessions.challenges.values()) pending.expiresAt = Date.now() - 1;
+    assert.strictEqual(sessions.createChallenge('user7', '10.0.0.1').success, true);
+});
@@ -0,0 +1,292 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const UserManager = require('../../services/user-manager');
+
+/**
+ * Same token arithmetic must hold for every backend that can run here
+ */
+const backends = [
+    { type: 'json', options: dir => ({ type: 'json', dataFile: path.join(dir, 'authorized_users.json') }) },
+    { type: 'sqlite', options: dir => ({ type: 'sqlite', dbFile: path.join(dir, 'faucet.db') }), requires: 'better-sqlite3' }
+];
+
+function available(moduleName) {
+    if (!moduleName) return true;
+    try {
+        require.resolve(moduleName);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+for (const backend of backends) {
+    describe(`UserManager (${backend.type} store)`, { skip: !available(backend.requires) && `${backend.requires} not installed` }, () => {
+        let dir;
+        let manager;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-users-'));
+            manager = new UserManager(backend.options(dir));
+        });
+
+        afterEach(async () => {
+            await manager.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('addUser starts with the full allocation remaining', async () => {
+            assert.strictEqual((await manager.addUser('alice', 3, 'a@example.com')).success, true);
+            const user = await manager.getUser('alice');
+            assert.strictEqual(user.tokens_allocated, 3);
+            assert.strictEqual(user.tokens_used, 0);
+            assert.strictEqual(user.tokens_remaining, 3);
+            assert.strictEqual(user.email, 'a@example.com');
+            assert.strictEqual(user.is_active, true);
+        });
+
+        test('addUser refuses duplicates and negative or fractional token counts', async () => {
+            await manager.addUser('alice', 3);
+            assert.deepStrictEqual(await manager.addUser('alice', 3), { success: false, message: 'User already exists' });
+            assert.strictEqual((await manager.addUser('bob', -1)).success, false);
+            assert.strictEqual((await manager.addUser('bob', 1.5)).success, false);
+            assert.strictEqual(await manager.getUser('bob'), null);
+        });
+
+        test('addUser allows zero tokens', async () => {
+            assert.strictEqual((await manager.addUser('alice', 0)).success, true);
+            assert.strictEqual((await manager.checkAuthorization('alice')).reason, 'No tokens remaining');
+        });
+
+        test('giveTokens adds to both allocated and remaining', async () => {
+            await manager.addUser('alice', 2);
+            await manager.useToken('alice');
+            const result = await manager.giveTokens('alice', 3);
+            assert.strictEqual(result.success, true);
+            assert.match(result.message, /New total: 5/);
+
+            const user = await manager.getUser('alice');
+            assert.strictEqual(user.tokens_allocated, 5);
+            assert.strictEqual(user.tokens_used, 1);
+            assert.strictEqual(user.tokens_remaining, 4);
+        });
+
+        test('giveTokens refuses zero, negative and fractional amounts', async () => {
+            await manager.addUser('alice', 2);
+            for (const amount of [0, -3, 1.5, NaN]) {
+                assert.strictEqual((await manager.giveTokens('alice', amount)).success, false, String(amount));
+            }
+            assert.strictEqual((await manager.getUser('alice')).tokens_allocated, 2);
+        });
+
+        test('giveTokens reports unknown users', async () => {
+            assert.deepStrictEqual(await manager.giveTokens('ghost', 1), { success: false, message: 'User not found' });
+        });
+
+        test('setTokens recomputes remaining from tokens used', async () => {
+            await manager.addUser('alice', 5);
+            await manager.useToken('alice');
+            await manager.useToken('alice');
+
+            const result = await manager.setTokens('alice', 3);
+            assert.strictEqual(result.success, true);
+            assert.match(result.message, /Remaining: 1/);
+            assert.strictEqual((await manager.getUser('alice')).tokens_remaining, 1);
+
+            // Exactly the used count leaves nothing remaining
+            await manager.setTokens('alice', 2);
+            assert.strictEqual((await manager.getUser('alice')).tokens_remaining, 0);
+        });
+
+        test('setTokens refuses a total below the used count and leaves the user unchanged', async () => {
+            await manager.addUser('alice', 5);
+            await manager.useToken('alice');
+            await manager.useToken('alice');
+
+            const result = await manager.setTokens('alice', 1);
+            assert.strictEqual(result.success, false);
+            assert.match(result.message, /already used 2 tokens/);
+
+            const user = await manager.getUser('alice');
+            assert.strictEqual(user.tokens_allocated, 5);
+            assert.strictEqual(user.tokens_remaining, 3);
+        });
+
+        test('setTokens refuses negative and fractional totals', async () => {
+            await manager.addUser('alice', 5);
+            assert.strictEqual((await manager.setTokens('alice', -1)).success, false);
+            assert.strictEqual((await manager.setTokens('alice', 2.5)).success, false);
+            assert.strictEqual((await manager.getUser('alice')).tokens_allocated, 5);
+        });
+
+        test('useToken never drives remaining below zero', async () => {
+            await manager.addUser('alice', 1);
+            assert.strictEqual(await manager.useToken('alice'), true);
+            assert.strictEqual(await manager.useToken('alice'), false);
+            assert.strictEqual(await manager.useToken('ghost'), false);
+
+            const user = await manager.getUser('alice');
+            assert.strictEqual(user.tokens_used, 1);
+            assert.strictEqual(user.tokens_remaining, 0);
+            assert.ok(user.last_used);
+        });
+
+        test('concurrent useToken calls consume each token once', async () => {
+            await manager.addUser('alice', 3);
+            const results = await Promise.all(Array.from({ length: 6 }, () => manager.useToken('alice')));
+            assert.strictEqual(results.filter(Boolean).length, 3);
+            assert.strictEqual((await manager.getUser('alice')).tokens_remaining, 0);
+        });
+
+        test('metadata totals follow every change', async () => {
+            await manager.addUser('alice', 3);
+            await manager.addUser('bob', 2);
+            await manager.useToken('alice');
+            await manager.giveTokens('bob', 4);
+            await manager.setTokens('alice', 2);
+
+            const stats = await manager.getStats();
+            assert.strictEqual(stats.total_users, 2);
+            assert.strictEqual(stats.total_tokens_allocated, 8);
+            assert.strictEqual(stats.total_tokens_used, 1);
+            assert.strictEqual(stats.tokens_remaining, 7);
+        });
+
+        test('settings default until set and can be reset', async () => {
+            await manager.addUser('alice', 1);
+            assert.strictEqual(UserManager.settingValue(await manager.getUser('alice'), 'paid_creation'), false);
+
+            const result = await manager.setUserSetting('alice', 'paid_creation', 'yes');
+            assert.strictEqual(result.success, true);
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, { paid_creation: true });
+            assert.strictEqual(UserManager.settingValue(await manager.getUser('alice'), 'paid_creation'), true);
+
+            await manager.setUserSetting('alice', 'paid_creation', 'default');
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, {});
+        });
+
+        test('setUserSetting refuses unknown keys, invalid values and unknown users', async () => {
+            await manager.addUser('alice', 1);
+            assert.match((await manager.setUserSetting('alice', 'bogus', 'true')).message, /Unknown setting/);
+            assert.match((await manager.setUserSetting('alice', 'paid_creation', 'maybe')).message, /Invalid value/);
+            assert.strictEqual((await manager.setUserSetting('ghost', 'paid_creation', true)).message, 'User not found');
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, {});
+        });
+
+        test('onboarding settings validate community names and welcome memos', async () => {
+            await manager.addUser('alice', 1);
+            assert.strictEqual((await manager.setUserSetting('alice', 'onboard_community', 'hive-123456')).success, true);
+            assert.strictEqual((await manager.setUserSetting('alice', 'onboard_community', 'hive-abc')).success, false);
+            assert.strictEqual((await manager.setUserSetting('alice', 'onboard_welcome', 'Welcome {username}!')).success, true);
+            assert.strictEqual((await manager.setUserSetting('alice', 'onboard_welcome', '#secret')).success, false);
+            assert.strictEqual((await manager.setUserSetting('alice', 'onboard_welcome', 'x'.repeat(257))).success, false);
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, {
+                onboard_community: 'hive-123456',
+                onboard_welcome: 'Welcome {username}!'
+            });
+        });
+
+        test('allowed_templates takes a comma-separated list of template names', async () => {
+            await manager.addUser('alice', 1);
+            assert.deepStrictEqual(UserManager.settingValue(await manager.getUser('alice'), 'allowed_templates'), []);
+            assert.strictEqual((await manager.setUserSetting('alice', 'allowed_templates', 'sponsor_posting, sponsor_cosign,sponsor_posting')).success, true);
+            assert.strictEqual((await manager.setUserSetting('alice', 'allowed_templates', 'sponsor_posting,Bad Name')).success, false);
+            assert.deepStrictEqual((await manager.getUser('alice')).settings.allowed_templates, ['sponsor_posting', 'sponsor_cosign']);
+        });
+
+        test('token changes keep settings', async () => {
+            await manager.addUser('alice', 1);
+            await manager.setUserSetting('alice', 'paid_creation', true);
+            await manager.giveTokens('alice', 2);
+            await manager.useToken('alice');
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, { paid_creation: true });
+        });
+
+        test('built-in object keys are never users', async () => {
+            for (const name of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+                assert.strictEqual(await manager.getUser(name), null, name);
+                assert.strictEqual((await manager.setUserStatus(name, true)).success, false, name);
+                assert.strictEqual((await manager.checkAuthorization(name)).authorized, false, name);
+            }
+            assert.strictEqual(({}).is_active, undefined);
+        });
+
+        test('checkAuthorization reflects activation and remaining tokens', async () => {
+            await manager.addUser('alice', 1);
+            assert.strictEqual((await manager.checkAuthorization('alice')).authorized, true);
+
+            await manager.setUserStatus('alice', false);
+            assert.strictEqual((await manager.checkAuthorization('alice')).reason, 'User account is deactivated');
+
+            await manager.setUserStatus('alice', true);
+            await manager.useToken('alice');
+            assert.strictEqual((await manager.checkAuthorization('alice')).reason, 'No tokens remaining');
+            assert.strictEqual((await manager.checkAuthorization('ghost')).reason, 'User not found in authorized list');
+        });
+    });
+}
+
+describe('UserManager init', () => {
+    test('a failed store init is retried on the next call instead of being cached', async () => {
+        let attempts = 0;
+        const store = {
+            async init() {
+                attempts++;
+                if (attempts === 1) throw new Error('connection refused');
+            },
+            async getUser(username) {
+                return { username, is_active: true, tokens_remaining: 1 };
+            },
+            async close() {}
+        };
+        const manager = new UserManager({ store });
+
+        const error = console.error;
+        console.error = () => {};
+        try {
+            assert.strictEqual((await manager.checkAuthorization('alice')).reason, 'Database error');
+        } finally {
+            console.error = error;
+        }
+        assert.strictEqual((await manager.checkAuthorization('alice')).authorized, true);
+        assert.strictEqual(attempts, 2);
+    });
+});
+
+describe('SqliteUserStore', { skip: !available('better-sqlite3') && 'better-sqlite3 not installed' }, () => {
+    test('adds the settings column to databases created before it existed', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-users-'));
+        const dbFile = path.join(dir, 'faucet.db');
+        const Database = require('better-sqlite3');
+        const db = new Database(dbFile);
+        db.exec(`
+            CREATE TABLE authorized_users (
+                username TEXT PRIMARY KEY,
+                tokens_allocated INTEGER NOT NULL DEFAULT 0,
+                tokens_used INTEGER NOT NULL DEFAULT 0,
+                tokens_remaining INTEGER NOT NULL DEFAULT 0,
+                email TEXT,
+                created_at TEXT NOT NULL,
+                last_used TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                notes TEXT
+            );
+            INSERT INTO authorized_users (username, tokens_allocated, tokens_remaining, created_at) VALUES ('alice', 2, 2, '2024-01-01');
+        `);
+        db.close();
+
+        const manager = new UserManager({ type: 'sqlite', dbFile });
+        try {
+            assert.deepStrictEqual((await manager.getUser('alice')).settings, {});
+            assert.strictEqual((await manager.setUserSetting('alice', 'paid_creation', true)).success, true);
+            assert.strictEqual((await manager.getUser('alice')).tokens_remaining, 2);
+        } finally {
+            await manager.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -180,6 +180,31 @@ class KeychainManager {
         });
     }
 
+    /**
+     * Sign an arbitrary message (used for backend challenge/response login)
+     * @param {string} username - Account whose key signs the message
+     * @param {string} message - Message to sign
+     * @param {string} keyType - 'Posting' (default) or 'Active'
+     * @returns {Promise<string>} - Hex signature
+     */
+    signBuffer(username, message, keyType = 'Posting') {
+        return new Promise((resolve, reject) => {
+            const keychain = this.keychain || window.hive_keychain;
+            if (!keychain) {
+                reject(new Error('Keychain not available'));
+                return;
+            }
+
+            keychain.requestSignBuffer(username, message, keyType, (response) => {
+                if (response.success) {
+                    resolve(response.result);
+                } else {
+                    reject(new Error(response.message || 'Failed to sign message'));
+                }
+            });
+        });
+    }
+
     /**
      * Create account request custom JSON
      */
@@ -190,6 +215,7 @@ class KeychainManager {
             app: 'hive_account_faucet',
             version: '1.0.0',
             action: 'create_account_request',
+            requestId: this.generateRequestId(), // lets the UI poll /api/status before the tx id is known
             data: {
                 requested_username: requestedUsername,
                 delivery_method: normalizedDelivery,
@@ -0,0 +1,274 @@
+/**
+ * Admin Dashboard for Hive Account Faucet
+ * Talks to the backend /admin API using either a Keychain admin session or the API key.
+ */
+
+class AdminDashboard {
+    constructor() {
+        // Always use the real backend here (the mock client only covers the public form)
+        this.api = new ApiClient();
+        this.identity = sessionStorage.getItem('faucet_admin_identity');
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    init() {
+        document.getElementById('adminKeychainLoginBtn').addEventListener('click', () => this.loginWithKeychain());
+        document.getElementById('adminApiKeyLoginBtn').addEventListener('click', () => this.loginWithApiKey());
+        document.getElementById('adminLogoutBtn').addEventListener('click', () => this.logout());
+        document.getElementById('refreshBtn').addEventListener('click', () => this.refresh());
+        document.getElementById('sponsorsTable').addEventListener('click', (event) => this.handleSponsorAction(event));
+
+        if (this.api.sessionToken) {
+            this.showDashboard();
+        }
+    }
+
+    /**
+     * Keychain challenge/response login (account must be in ADMIN_ACCOUNTS)
+     */
+    async loginWithKeychain() {
+        const username = document.getElementById('adminUsernameInput').value.trim().toLowerCase().replace(/^@/, '');
+        if (!username) {
+            this.showStatus('error', 'Please enter a username');
+            return;
+        }
+        if (!window.hive_keychain) {
+            this.showStatus('error', 'Hive Keychain not found. Please install the Hive Keychain browser extension.');
+            return;
+        }
+
+        try {
+            this.showStatus('info', 'Please sign the login challenge in Keychain...');
+            const session = await this.api.loginWithKeychain(username);
+            if (session.role !== 'admin') {
+                await this.api.logoutSession();
+                this.showStatus('error', `@${username} is not an admin account`);
+                return;
+            }
+            this.setIdentity(`@${session.username}`);
+            this.showDashboard();
+        } catch (error) {
+            this.showStatus('error', `Login failed: ${this.api.formatErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * API key login - the key is sent as a Bearer token, same as a session
+     */
+    async loginWithApiKey() {
+        const key = document.getElementById('adminApiKeyInput').value.trim();
+        if (!key) {
+            this.showStatus('error', 'Please enter the API key');
+            return;
+        }
+
+        this.api.sessionToken = key;
+        sessionStorage.setItem('faucet_session_token', key);
+        document.getElementById('adminApiKeyInput').value = '';
+        this.setIdentity('API key');
+        this.showDashboard();
+    }
+
+    async logout() {
+        try {
+            await this.api.logoutSession();
+        } catch (error) {
+            // API key "sessions" have nothing to revoke server-side
+        }
+        this.setIdentity(null);
+        document.getElementById('adminDashboard').style.display = 'none';
+        document.getElementById('adminInfo').style.display = 'none';
+        document.getElementById('adminLoginSection').style.display = 'block';
+        this.showStatus('info', 'Logged out');
+    }
+
+    setIdentity(identity) {
+        this.identity = identity;
+        if (identity) {
+            sessionStorage.setItem('faucet_admin_identity', identity);
+        } else {
+            sessionStorage.removeItem('faucet_admin_identity');
+        }
+    }
+
+    async showDashboard() {
+        const loaded = await this.refresh();
+        if (!loaded) return;
+
+        document.getElementById('adminLoginSection').style.display = 'none';
+        document.getElementById('adminDashboard').style.display = 'block';
+        document.getElementById('adminInfo').style.display = 'flex';
+        document.getElementById('adminIdentity').textContent = this.identity || 'Admin';
+    }
+
+    /**
+     * Reload every panel; returns false (and drops the session) if auth fails
+     */
+    async refresh() {
+        const base = this.api.config.baseUrl;
+        try {
+            const [stats, users, pending, requests, status] = await Promise.all([
+                this.api.makeRequest(`${base}/admin/stats`),
+                this.api.makeRequest(`${base}/admin/users`),
+                this.api.makeRequest(`${base}/admin/pending`),
+                this.api.makeRequest(`${base}/admin/requests?limit=25`),
+                this.api.makeRequest(`${base}/status`)
+            ]);
+
+            this.renderStats(stats, status, pending.count);
+            this.renderSponsors(users.authorized_users);
+            this.renderPending(pending.pending);
+            this.renderRequests(requests.requests);
+            this.showStatus('success', `Updated ${new Date().toLocaleTimeString()}`);
+            return true;
+        } catch (error) {
+            if (/40[13]/.test(error.message)) {
+                this.api.sessionToken = null;
+                sessionStorage.removeItem('faucet_session_token');
+                document.getElementById('adminDashboard').style.display = 'none';
+                document.getElementById('adminInfo').style.display = 'none';
+                document.getElementById('adminLoginSection').style.display = 'block';
+            }
+            this.showStatus('error', this.api.formatErrorMessage(error));
+            return false;
+        }
+    }
+
+    renderStats(stats, status, pendingCount) {
+        const acts = status.accountCreationTokens || {};
+        const actCount = typeof acts.pending_claimed_accounts === 'number' ? acts.pending_claimed_accounts : null;
+        const tiles = [
+            ['fa-heartbeat', 'Monitor', `${status.monitoring ? 'Running' : 'Stopped'}${status.dryRun ? ' (dry run)' : ''}`, status.monitoring ? 'ok' : 'bad'],
+            ['fa-cube', `Last block (${status.blockMode || 'head'})`, status.lastProcessedBlock || '-', ''],
+            ['fa-server', 'Hive node', status.hiveNodes ? status.hiveNodes.current.replace(/^https?:\/\//, '') : '-', ''],
+            ['fa-hourglass-half', 'Block lag', status.blockLag === null || status.blockLag === undefined ? '-' : status.blockLag, status.blockLag > 100 ? 'bad' : ''],
+            ['fa-id-card', 'ACTs', actCount === null ? '-' : `${actCount}${typeof acts.rc_percent === 'number' ? ` (RC ${acts.rc_percent}%)` : ''}`, actCount === 0 ? 'bad' : ''],
+            ['fa-users', 'Active sponsors', `${stats.active_users}/${stats.total_users}`, ''],
+            ['fa-ticket-alt', 'Tokens used', `${stats.total_tokens_used}/${stats.total_tokens_allocated}`, ''],
+            ['fa-check', 'Delivered', stats.requests.delivered, 'ok'],
+            ['fa-life-ring', 'Pending recoveries', pendingCount, pendingCount > 0 ? 'bad' : '']
+        ];
+
+        document.getElementById('adminStats').innerHTML = tiles.map(([icon, label, value, tone]) => `
+            <div class="info-card admin-stat ${tone}">
+                <h4><i class="fas ${icon}"></i> ${escapeHtml(label)}</h4>
+                <p class="admin-stat-value">${escapeHtml(value)}</p>
+            </div>
+        `).join('');
+    }
+
+    renderSponsors(users) {
+        const rows = Object.entries(users || {}).map(([username, user]) => `
+            <tr>
+                <td>@${escapeHtml(username)}</td>
+                <td><span class="badge ${user.is_active ? 'badge-ok' : 'badge-bad'}">${user.is_active ? 'Active' : 'Inactive'}</span></td>
+                <td>${user.tokens_used}/${user.tokens_allocated}</td>
+                <td>${user.tokens_remaining}</td>
+                <td>${user.last_used ? new Date(user.last_used).toLocaleDateString() : 'Never'}</td>
+                <td class="admin-actions">
+                    <input type="number" min="1" value="1" class="form-control admin-token-input" aria-label="Tokens to give">
+                    <button class="btn btn-outline btn-small" data-action="give-tokens" data-username="${escapeHtml(username)}">
+                        <i class="fas fa-plus"></i> Give
+                    </button>
+                    <button class="btn btn-outline btn-small" data-action="${user.is_active ? 'deactivate' : 'activate'}" data-username="${escapeHtml(username)}">
+                        ${user.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        document.getElementById('sponsorsTable').innerHTML = rows.join('') || emptyRow(6, 'No sponsors yet');
+    }
+
+    renderPending(pending) {
+        const rows = (pending || []).map(record => `
+            <tr>
+                <td>@${escapeHtml(record.username)}</td>
+                <td>@${escapeHtml(record.requester)}</td>
+                <td>${new Date(record.created_at).toLocaleString()}</td>
+                <td class="mono">${escapeHtml((record.transactionId || '').substring(0, 12))}</td>
+            </tr>
+        `);
+
+        document.getElementById('pendingTable').innerHTML = rows.join('') || emptyRow(4, 'Recovery queue is empty');
+    }
+
+    renderRequests(requests) {
+        const rows = (requests || []).map(request => `
+            <tr>
+                <td>${new Date(request.updated_at).toLocaleString()}</td>
+                <td>@${escapeHtml(request.requester || '?')}</td>
+                <td>@${escapeHtml(request.requested_username || '?')}</td>
+                <td><span class="badge badge-${stateTone(request.state)}">${escapeHtml(request.state)}</span></td>
+                <td>${escapeHtml(request.reason || '')}</td>
+            </tr>
+        `);
+
+        document.getElementById('requestsTable').innerHTML = rows.join('') || emptyRow(5, 'No requests recorded');
+    }
+
+    /**
+     * give-tokens / activate / deactivate buttons in the sponsors table
+     */
+    async handleSponsorAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, username } = button.dataset;
+        const body = {};
+        if (action === 'give-tokens') {
+            const input = button.closest('td').querySelector('.admin-token-input');
+            body.tokens = parseInt(input.value, 10);
+            if (!Number.isInteger(body.tokens) || body.tokens <= 0) {
+                this.showStatus('error', 'Enter a positive number of tokens');
+                return;
+            }
+        }
+
+        button.disabled = true;
+        try {
+            const url = `${this.api.config.baseUrl}/admin/users/${encodeURIComponent(username)}/${action}`;
+            const result = await this.api.makeRequest(url, { method: 'POST', body: JSON.stringify(body) });
+            this.showStatus('success', result.message);
+            await this.refresh();
+        } catch (error) {
+            this.showStatus('error', this.api.formatErrorMessage(error));
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showStatus(type, message) {
+        document.getElementById('adminStatus').innerHTML =
+            `<div class="status-message status-${type}">${escapeHtml(message)}</div>`;
+    }
+}
+
+/**
+ * Escape untrusted text (usernames and reasons come from on-chain data)
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function emptyRow(columns, message) {
+    return `<tr><td colspan="${columns}" class="text-muted text-center">${escapeHtml(message)}</td></tr>`;
+}
+
+function stateTone(state) {
+    if (state === 'delivered') return 'ok';
+    if (state === 'rejected' || state === 'delivery_failed') return 'bad';
+    return 'info';
+}
+
+window.adminDashboard = new AdminDashboard();
@@ -16,7 +16,11 @@ class ApiClient {
             endpoints: {
                 createAccount: '/api/create-account',
                 checkStatus: '/api/status',
-                healthCheck: '/api/health'
+                healthCheck: '/api/health',
+                authChallenge: '/auth/challenge',
+                authVerify: '/auth/verify',
+                authLogout: '/auth/logout',
+                sponsorProfile: '/sponsor/me'
             },
             
             // Default headers
@@ -28,6 +32,9 @@ class ApiClient {
         // Track request status
         this.isRequesting = false;
         this.currentRequestId = null;
+
+        // Backend session issued after Keychain challenge/response login
+        this.sessionToken = sessionStorage.getItem('faucet_session_token');
     }
 
     /**
@@ -61,6 +68,7 @@ class ApiClient {
                 signal: controller.signal,
                 headers: {
                     ...this.config.defaultHeaders,
+                    ...(this.sessionToken ? { 'Authorization': `Bearer ${this.sessionToken}` } : {}),
                     ...options.headers
                 }
             });
@@ -185,6 +193,52 @@ class ApiClient {
         }
     }
 
+    /**
+     * Log in to the backend: fetch a challenge, sign it with Keychain, exchange it for a session
+     * @param {string} username - Hive account to log in as
+     * @returns {Promise} - Promise resolving to { token, username, role, expiresAt }
+     */
+    async loginWithKeychain(username) {
+        const challenge = await this.makeRequest(`${this.config.baseUrl}${this.config.endpoints.authChallenge}`, {
+            method: 'POST',
+            body: JSON.stringify({ username })
+        });
+
+        const signature = await window.keychainManager.signBuffer(username, challenge.challenge, 'Posting');
+
+        const session = await this.makeRequest(`${this.config.baseUrl}${this.config.endpoints.authVerify}`, {
+            method: 'POST',
+            body: JSON.stringify({ username, challenge: challenge.challenge, signature })
+        });
+
+        this.sessionToken = session.token;
+        sessionStorage.setItem('faucet_session_token', session.token);
+        return session;
+    }
+
+    /**
+     * End the backend session
+     */
+    async logoutSession() {
+        if (!this.sessionToken) return;
+        try {
+            await this.makeRequest(`${this.config.baseUrl}${this.config.endpoints.authLogout}`, { method: 'POST' });
+        } finally {
+            this.sessionToken = null;
+            sessionStorage.removeItem('faucet_session_token');
+        }
+    }
+
+    /**
+     * Get the logged-in sponsor's quota and request history
+     * @returns {Promise} - Promise resolving to sponsor profile
+     */
+    async getSponsorProfile() {
+        return await this.makeRequest(`${this.config.baseUrl}${this.config.endpoints.sponsorProfile}`, {
+            method: 'GET'
+        });
+    }
+
     /**
      * Check if the API backend is healthy and responding
      * @returns {Promise} - Promise resolving to health status
@@ -217,30 +271,10 @@ class ApiClient {
         let attempts = 0;
 
         const poll = async () => {
+            let status;
             try {
                 attempts++;
-                const status = await this.checkRequestStatus(requestId);
-                
-                // Call update callback
-                if (onUpdate) {
-                    onUpdate(status);
-                }
-
-                // Check if request is complete
-                if (status.status === 'completed') {
-                    return status;
-                } else if (status.status === 'failed') {
-                    throw new Error(status.message || 'Account creation failed');
-                } else if (attempts >= maxAttempts) {
-                    throw new Error('Request timed out. Please check your request status later.');
-                }
-
-                // Continue polling if still processing
-                if (status.status === 'pending' || status.status === 'processing') {
-                    await new Promise(resolve => setTimeout(resolve, interval));
-                    return poll();
-                }
-
+                status = await this.checkRequestStatus(requestId);
             } catch (error) {
                 if (attempts >= maxAttempts) {
                     throw new Error('Unable to check request status. Please try again later.');
@@ -250,6 +284,24 @@ class ApiClient {
                 await new Promise(resolve => setTimeout(resolve, interval));
                 return poll();
             }
+
+            // Call update callback
+            if (onUpdate) {
+                onUpdate(status);
+            }
+
+            // Check if request is complete (a failed request is final, not a network error to retry)
+            if (status.status === 'completed') {
+                return status;
+            } else if (status.status === 'failed') {
+                throw new Error(status.message || 'Account creation failed');
+            } else if (attempts >= maxAttempts) {
+                throw new Error('Request timed out. Please check your request status later.');
+            }
+
+            // Continue polling while pending or processing
+            await new Promise(resolve => setTimeout(resolve, interval));
+            return poll();
         };
 
         return poll();
@@ -180,6 +180,9 @@ async function handleFormSubmit(event) {
     showLoading('Broadcasting account request...');
     
     try {
+        // Lets the page follow the request through /api/status before the transaction id is known
+        const requestId = window.keychainManager.generateRequestId();
+
         // Create custom JSON for account request
         const customJson = {
             app: 'hive_account_faucet',
@@ -191,6 +194,7 @@ async function handleFormSubmit(event) {
                 delivery_method: requestData.deliveryMethod,
                 email: requestData.email || null,
                 notes: requestData.notes || null,
+                request_id: requestId,
                 timestamp: new Date().toISOString()
             }
         };
@@ -208,7 +212,8 @@ async function handleFormSubmit(event) {
                 document.getElementById('submitBtn').disabled = false;
                 
                 if (response.success) {
-                    showStatus('Account request submitted successfully! Your request has been broadcast to the blockchain and will be processed shortly.', 'success');
+                    showStatus('Account request submitted successfully! Your request has been broadcast to the blockchain and will be processed shortly.', 'info');
+                    followRequestStatus(requestId);
                     
                     // Reset form after successful submission
                     setTimeout(() => {
@@ -235,6 +240,24 @@ async function handleFormSubmit(event) {
     }
 }
 
+/**
+ * Show backend progress for a broadcast request until it is delivered or rejected
+ * @param {string} requestId - request_id sent in the custom JSON
+ */
+async function followRequestStatus(requestId) {
+    const escape = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    try {
+        const status = await window.apiClient.pollRequestStatus(requestId, update => {
+            if (update.status === 'pending' || update.status === 'processing') {
+                showStatus(escape(update.message), 'info');
+            }
+        });
+        showStatus(`${escape(status.message)}: @${escape(status.accountName)}`, 'success');
+    } catch (error) {
+        showStatus(escape(error.message), 'error');
+    }
+}
+
 /**
  * Check username availability
  * @param {string} username - Username to check
@@ -35,15 +35,25 @@ class FormValidator {
             return { isValid: false, message: 'Username cannot be longer than 16 characters.' };
         }
 
-        // Check valid characters (lowercase letters, numbers, hyphens)
-        const validCharsRegex = /^[a-z0-9-]+$/;
+        // Check valid characters (lowercase letters, numbers, hyphens, dots between segments)
+        const validCharsRegex = /^[a-z0-9.-]+$/;
         if (!validCharsRegex.test(username)) {
-            return { isValid: false, message: 'Username can only contain lowercase letters, numbers, and hyphens.' };
+            return { isValid: false, message: 'Username can only contain lowercase letters, numbers, hyphens, and dots.' };
         }
 
-        // Cannot start or end with hyphen
-        if (username.startsWith('-') || username.endsWith('-')) {
-            return { isValid: false, message: 'Username cannot start or end with a hyphen.' };
+        // Chain rules apply to every dot-separated segment
+        for (const segment of username.split('.')) {
+            if (segment.length < 3) {
+                return { isValid: false, message: 'Each part of the username between dots must be at least 3 characters long.' };
+            }
+
+            if (segment.startsWith('-') || segment.endsWith('-')) {
+                return { isValid: false, message: 'Username cannot start or end with a hyphen.' };
+            }
+
+            if (!/^[a-z]/.test(segment)) {
+                return { isValid: false, message: 'Username must start with a letter.' };
+            }
         }
 
         // Cannot have consecutive hyphens